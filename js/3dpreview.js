@@ -216,71 +216,63 @@ class ThreeDPreview {
    * @returns {THREE.Mesh} 网格对象
    */
   async createImagePlane(result, scale, z) {
-    return new Promise((resolve, reject) => {
-      // 创建纹理加载器
-      const loader = new THREE.TextureLoader();
-      
-      // 加载纹理
-      loader.load(
-        result.dataUrl,
-        (texture) => {
-          // 设置纹理过滤方式，避免模糊和描边
-          texture.magFilter = THREE.NearestFilter;
-          texture.minFilter = THREE.NearestFilter;
-          texture.wrapS = THREE.ClampToEdgeWrap;
-          texture.wrapT = THREE.ClampToEdgeWrap;
-          texture.generateMipmaps = false;
-          
-          // 获取原始图片尺寸
-          const img = texture.image;
-          const aspectRatio = img.width / img.height;
-          
-          // 根据原始宽高比计算平面尺寸
-          let width, height;
-          if (aspectRatio >= 1) {
-            // 横图：以宽度为基准
-            width = scale;
-            height = scale / aspectRatio;
-          } else {
-            // 竖图：以高度为基准
-            height = scale;
-            width = scale * aspectRatio;
-          }
-          
-          // 创建几何体
-          const geometry = new THREE.PlaneGeometry(width, height);
-          
-          // 创建无光照材质，显示原始色彩，优化透明度处理
-          const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            transparent: true,
-            side: THREE.DoubleSide,
-            alphaTest: 0.01, // 设置alpha测试阈值，避免透明像素的描边效果
-            depthWrite: false // 禁用深度写入，避免层级间的视觉干扰
-          });
-          
-          // 创建网格
-          const mesh = new THREE.Mesh(geometry, material);
-          mesh.position.set(0, 0, z);
-          
-          // 添加用户数据
-          mesh.userData = {
-            layer: result.layer,
-            depthRange: result.depthRange,
-            filename: result.filename,
-            originalSize: { width: img.width, height: img.height },
-            aspectRatio: aspectRatio
-          };
-          
-          resolve(mesh);
-        },
-        undefined,
-        (error) => {
-          console.error('Error loading texture:', error);
-          reject(error);
-        }
-      );
+    // 纹理直接由PNG解码为ImageBitmap（分块处理的层级使用缩小的纹理），解码时完成上下翻转
+    const bitmap = await createImageBitmap(result.textureBlob || result.blob, {
+      imageOrientation: 'flipY',
+      premultiplyAlpha: 'none'
     });
+    const texture = new THREE.Texture(bitmap);
+    texture.flipY = false;
+    
+    // 设置纹理过滤方式，避免模糊和描边
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    texture.wrapS = THREE.ClampToEdgeWrap;
+    texture.wrapT = THREE.ClampToEdgeWrap;
+    texture.generateMipmaps = false;
+    texture.needsUpdate = true;
+    
+    // 获取原始图片尺寸
+    const aspectRatio = bitmap.width / bitmap.height;
+    
+    // 根据原始宽高比计算平面尺寸
+    let width, height;
+    if (aspectRatio >= 1) {
+      // 横图：以宽度为基准
+      width = scale;
+      height = scale / aspectRatio;
+    } else {
+      // 竖图：以高度为基准
+      height = scale;
+      width = scale * aspectRatio;
+    }
+    
+    // 创建几何体
+    const geometry = new THREE.PlaneGeometry(width, height);
+    
+    // 创建无光照材质，显示原始色彩，优化透明度处理
+    const material = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      side: THREE.DoubleSide,
+      alphaTest: 0.01, // 设置alpha测试阈值，避免透明像素的描边效果
+      depthWrite: false // 禁用深度写入，避免层级间的视觉干扰
+    });
+    
+    // 创建网格
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(0, 0, z);
+    
+    // 添加用户数据
+    mesh.userData = {
+      layer: result.layer,
+      depthRange: result.depthRange,
+      filename: result.filename,
+      originalSize: { width: bitmap.width, height: bitmap.height },
+      aspectRatio: aspectRatio
+    };
+    
+    return mesh;
   }
 
   /**
@@ -329,7 +321,11 @@ class ThreeDPreview {
       this.scene.remove(mesh);
       if (mesh.geometry) mesh.geometry.dispose();
       if (mesh.material) {
-        if (mesh.material.map) mesh.material.map.dispose();
+        if (mesh.material.map) {
+          mesh.material.map.dispose();
+          // 释放纹理的ImageBitmap
+          if (typeof mesh.material.map.image.close === 'function') mesh.material.map.image.close();
+        }
         mesh.material.dispose();
       }
     });
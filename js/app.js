@@ -17,7 +17,31 @@ class DepthCutFrontendApp {
     this.processingStartTime = null;
     this.threeDPreview = null;
     this.isGeneratingDepth = false; // AI生成深度图状态
+    this.depthGenerationController = null; // AI生成深度图的取消控制器
+    this.processingController = null; // 层级切分的取消控制器
+    this.processingLive = false; // 当前切分是否为实时重新切分
+    this.liveRecutTimer = null; // 实时重新切分的防抖定时器
+    this.inputCache = { key: null, originalPixels: null, depthField: null, renderScale: 1 }; // 已解码的原图像素与预处理后的深度场
+    this.previewSettings = null; // 生成当前预览结果的切分参数，渲染全分辨率时原样重放
     this.layerVisibility = []; // 层级可见性状态数组
+    this.imageProcessor = new BrowserImageProcessor();
+    this.depthAnalyzer = new DepthAnalyzer();
+    this.depthHistogram = null;
+    this.depthHistogramData = null; // 当前输入的深度直方图（已重映射）
+    this.rawDepthHistogram = null; // 当前输入的原始深度直方图
+    this.depthRemapper = new DepthRemapper();
+    this.depthFilter = new DepthFilter();
+    this.depthDecoder = new DepthMapDecoder();
+    this.paperPalette = new PaperPalette();
+    this.paperPicks = {}; // 纸张模式下手动选择的每层颜色（层级索引 -> #rrggbb）
+    this.layerWorkerPool = LayerWorkerPool.isSupported() ? new LayerWorkerPool() : null; // 后台处理层级的Worker池，不支持时在主线程处理
+    this.toneCurveEditor = null;
+    this.depthPreviewSource = null; // 深度图预览源Canvas（缩小尺寸）
+    this.depthPreviewScale = 1; // 预览源相对原深度图的缩放比例
+    this.showDepthBeforeDenoise = false; // 深度图预览显示降噪前的效果
+    this.customRanges = null; // 手动调整的深度范围
+    this.lastAutoStrategy = 'equal'; // 最近一次使用的自动分层策略
+    this.analysisToken = 0; // 防止过期的深度分析覆盖最新结果
     
     this.init();
   }
@@ -29,6 +53,7 @@ class DepthCutFrontendApp {
     this.loadApiToken();
     this.setupEventListeners();
     this.initializeDefaults();
+    this.loadSettings();
     this.updateUI();
     console.log('DepthCut Frontend App initialized');
   }
@@ -56,6 +81,9 @@ class DepthCutFrontendApp {
         this.generateDepthWithAI();
       });
     }
+    document.getElementById('cancelAiBtn').addEventListener('click', () => {
+      this.cancelDepthGeneration();
+    });
 
     // 文件上传
     document.getElementById('imageFile').addEventListener('change', (e) => {
@@ -73,18 +101,111 @@ class DepthCutFrontendApp {
     const layerSlider = document.getElementById('layerCount');
     layerSlider.addEventListener('input', (e) => {
       this.updateLayerValue(e.target.value);
+      this.updateHistogramRanges(true);
+      this.saveSettings();
+      this.scheduleLiveRecut();
+    });
+
+    // 分层策略与深度冗余
+    document.getElementById('rangeStrategy').addEventListener('change', (e) => {
+      if (e.target.value !== 'custom') {
+        this.lastAutoStrategy = e.target.value;
+        this.updateHistogramRanges(true);
+      } else if (this.depthHistogram) {
+        this.customRanges = this.depthHistogram.getRanges();
+      }
+      this.saveSettings();
+    });
+
+    document.getElementById('depthOverlap').addEventListener('change', () => {
+      this.updateHistogramRanges(true);
+      this.saveSettings();
+      this.scheduleLiveRecut();
     });
 
     // 边框滑块
     const borderSlider = document.getElementById('borderWidth');
     borderSlider.addEventListener('input', (e) => {
       this.updateBorderValue(e.target.value);
+      this.saveSettings();
+      this.scheduleLiveRecut();
+    });
+
+    // 预览代理与分块处理
+    ['proxyPreview', 'proxySize', 'tiledMode', 'tileHeight'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.updateTiledModeControls();
+        this.saveSettings();
+      });
+    });
+
+    // 实时重新切分
+    document.getElementById('liveRecut').addEventListener('change', (e) => {
+      this.saveSettings();
+      if (e.target.checked) {
+        this.scheduleLiveRecut();
+      }
+    });
+
+    // 深度图放大、超像素对齐、边缘模式、碎片清理、连接桥与矢量导出
+    ['upsampleMethod', 'superpixelEnabled', 'superpixelSize', 'superpixelCompactness', 'edgeMode', 'featherDepth', 'featherPixels', 'glueMargin', 'glueUnit', 'glueShape', 'glueFartherOnly', 'outlineWidth', 'outlineColor', 'outlinePosition', 'outlineShadow', 'shadowDistance', 'paperMode', 'paperColorCount', 'paperCatalog', 'minFeatureMm', 'targetDpi', 'minIslandArea', 'minHoleArea', 'inpaint', 'bridges', 'bridgeWidth',
+      'physicalWidth', 'includeSvg', 'dxfLayout', 'includeStencils', 'stencilPattern', 'includeLabelMap', 'labelMapFilename'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.saveSettings();
+      });
+    });
+
+    // 深度重映射
+    this.toneCurveEditor = new ToneCurveEditor('toneCurveEditor', () => {
+      this.handleRemapChange();
+    });
+    this.toneCurveEditor.init();
+
+    ['remapInvert', 'remapAutoNormalize', 'remapBlack', 'remapWhite', 'remapLowPct', 'remapHighPct'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.handleRemapChange();
+      });
+    });
+
+    document.getElementById('remapGamma').addEventListener('input', (e) => {
+      this.updateGammaValue(e.target.value);
+      this.handleRemapChange();
+    });
+
+    document.getElementById('resetCurveBtn').addEventListener('click', () => {
+      this.toneCurveEditor.reset();
+    });
+
+    // 深度降噪
+    ['denoiseMedian', 'denoiseBilateral', 'denoiseEdgePreserving'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.handleDenoiseChange();
+      });
+    });
+
+    document.getElementById('denoiseRadius').addEventListener('input', (e) => {
+      this.updateDenoiseRadiusValue(e.target.value);
+    });
+
+    document.getElementById('denoiseRadius').addEventListener('change', () => {
+      this.handleDenoiseChange();
+    });
+
+    document.getElementById('depthCompareBtn').addEventListener('click', () => {
+      this.showDepthBeforeDenoise = !this.showDepthBeforeDenoise;
+      this.updateDepthPreview();
     });
 
     // 处理按钮
     document.getElementById('processBtn').addEventListener('click', () => {
       this.startProcessing();
     });
+    document.getElementById('cancelProcessBtn').addEventListener('click', () => {
+      this.cancelProcessing();
+    });
+    document.getElementById('renderFullBtn').addEventListener('click', () => {
+      this.startProcessing(false, true);
+    });
 
     // 3D预览控制
     const spacingSlider = document.getElementById('spacingSlider');
@@ -261,6 +382,7 @@ class DepthCutFrontendApp {
 
     try {
       this.isGeneratingDepth = true;
+      this.depthGenerationController = new AbortController();
       this.updateAIGenerateButton(true);
 
       console.log('🚀 开始AI生成深度图...');
@@ -269,7 +391,8 @@ class DepthCutFrontendApp {
         this.files.image,
         (progress, message) => {
           console.log(`AI生成进度: ${progress}% - ${message}`);
-        }
+        },
+        this.depthGenerationController.signal
       );
 
       // 将生成的深度图设置为深度图文件
@@ -280,18 +403,34 @@ class DepthCutFrontendApp {
       this.files.depth = file;
       this.showImagePreview(file, 'depthPreview', 'depthPreviewImg', 'depthFileName');
       this.updateProcessButton();
+      this.loadDepthPreviewSource(file);
+      this.refreshDepthAnalysis();
       
       console.log('✅ AI深度图生成完成');
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ AI深度图生成已取消');
+        return;
+      }
       console.error('❌ AI深度图生成失败:', error);
       this.showError(`AI生成深度图失败: ${error.message}`);
     } finally {
       this.isGeneratingDepth = false;
+      this.depthGenerationController = null;
       this.updateAIGenerateButton(false);
     }
   }
 
+  /**
+   * 取消AI生成深度图（同时取消Replicate上的预测任务）
+   */
+  cancelDepthGeneration() {
+    if (!this.depthGenerationController) return;
+    document.getElementById('cancelAiBtn').disabled = true;
+    this.depthGenerationController.abort();
+  }
+
   /**
    * 更新AI生成按钮状态
    * @param {boolean} isLoading 是否正在加载
@@ -300,6 +439,10 @@ class DepthCutFrontendApp {
     const btn = document.getElementById('aiGenerateBtn');
     if (!btn) return;
 
+    const cancelBtn = document.getElementById('cancelAiBtn');
+    cancelBtn.style.display = isLoading ? 'inline-block' : 'none';
+    cancelBtn.disabled = false;
+
     if (isLoading) {
       btn.classList.add('loading');
       btn.disabled = true;
@@ -321,8 +464,11 @@ class DepthCutFrontendApp {
     if (!this.validateFile(file)) return;
 
     this.files.image = file;
+    this.clearInputCache();
+    this.paperPicks = {};
     this.showImagePreview(file, 'imagePreview', 'imagePreviewImg', 'imageFileName');
     this.updateProcessButton();
+    this.refreshDepthAnalysis();
     console.log('Image uploaded:', file.name);
   }
 
@@ -330,13 +476,28 @@ class DepthCutFrontendApp {
    * 处理深度图上传
    * @param {File} file 深度图文件
    */
-  handleDepthUpload(file) {
-    if (!this.validateFile(file)) return;
+  async handleDepthUpload(file) {
+    try {
+      const isHighPrecision = await this.depthDecoder.isHighPrecisionFile(file);
+      if (!this.validateDepthFile(file, isHighPrecision)) return;
 
-    this.files.depth = file;
-    this.showImagePreview(file, 'depthPreview', 'depthPreviewImg', 'depthFileName');
-    this.updateProcessButton();
-    console.log('Depth image uploaded:', file.name);
+      this.files.depth = file;
+      this.clearInputCache();
+      if (this.depthDecoder.isRawDepthFile(file)) {
+        // PFM/NPY 无法直接显示，预览由解码后的深度场生成
+        document.getElementById('depthFileName').textContent = file.name;
+        document.getElementById('depthPreview').style.display = 'flex';
+      } else {
+        this.showImagePreview(file, 'depthPreview', 'depthPreviewImg', 'depthFileName');
+      }
+      this.updateProcessButton();
+      this.loadDepthPreviewSource(file);
+      this.refreshDepthAnalysis();
+      console.log('Depth image uploaded:', file.name);
+    } catch (error) {
+      console.error('Depth upload failed:', error);
+      this.showError(`深度图加载失败: ${error.message}`);
+    }
   }
 
   /**
@@ -362,6 +523,27 @@ class DepthCutFrontendApp {
     return true;
   }
 
+  /**
+   * 验证深度图文件（额外支持16位PNG、PFM、NPY）
+   * @param {File} file 文件对象
+   * @param {boolean} isHighPrecision 是否为高精度深度文件
+   * @returns {boolean} 是否有效
+   */
+  validateDepthFile(file, isHighPrecision) {
+    if (!isHighPrecision) {
+      return this.validateFile(file);
+    }
+
+    // 高精度深度文件不上传到API，放宽到 100MB
+    const maxSize = 100 * 1024 * 1024;
+    if (file.size > maxSize) {
+      this.showError('深度文件过大，请上传小于 100MB 的文件');
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * 显示图片预览
    * @param {File} file 文件对象
@@ -392,6 +574,7 @@ class DepthCutFrontendApp {
     document.getElementById('imagePreview').style.display = 'none';
     document.getElementById('imageFile').value = '';
     this.updateProcessButton();
+    this.refreshDepthAnalysis();
   }
 
   /**
@@ -399,9 +582,313 @@ class DepthCutFrontendApp {
    */
   removeDepth() {
     this.files.depth = null;
+    this.depthPreviewSource = null;
     document.getElementById('depthPreview').style.display = 'none';
     document.getElementById('depthFile').value = '';
     this.updateProcessButton();
+    this.refreshDepthAnalysis();
+  }
+
+  /**
+   * 重新分析深度分布（基于调整尺寸后的深度图）
+   */
+  async refreshDepthAnalysis() {
+    const token = ++this.analysisToken;
+    const section = document.getElementById('histogramSection');
+
+    if (!this.files.image || !this.files.depth) {
+      this.depthHistogramData = null;
+      this.rawDepthHistogram = null;
+      this.customRanges = null;
+      if (this.depthHistogram) this.depthHistogram.clear();
+      section.style.display = 'none';
+      return;
+    }
+
+    try {
+      const originalImg = await this.imageProcessor.loadImageFromFile(this.files.image);
+      const loader = new BrowserDepthCutter();
+      const depthField = await loader.loadDepthData(originalImg, this.files.depth);
+      const histogram = this.depthAnalyzer.computeHistogram(depthField);
+
+      // 分析期间输入已变化，丢弃本次结果
+      if (token !== this.analysisToken) return;
+
+      if (!this.depthHistogram) {
+        this.depthHistogram = new DepthHistogram('depthHistogram', (ranges) => {
+          this.handleCustomRangesChange(ranges);
+        });
+      }
+
+      section.style.display = 'block';
+      section.classList.add('fade-in');
+      this.rawDepthHistogram = histogram;
+      this.updateRemappedHistogram();
+      this.updateDepthPreview();
+    } catch (error) {
+      console.error('Depth analysis failed:', error);
+      section.style.display = 'none';
+    }
+  }
+
+  /**
+   * 按当前重映射参数刷新直方图（层级范围基于重映射后的深度）
+   */
+  updateRemappedHistogram() {
+    if (!this.depthHistogram || !this.rawDepthHistogram) return;
+
+    this.depthHistogramData = this.depthRemapper.remapHistogram(this.rawDepthHistogram, this.getRemapParams());
+    this.depthHistogram.setHistogram(this.depthHistogramData);
+    this.updateHistogramRanges(true);
+  }
+
+  /**
+   * 加载深度图预览源（缩小尺寸，用于重映射实时预览）
+   * @param {File} file 深度图文件
+   */
+  async loadDepthPreviewSource(file) {
+    try {
+      let source;
+      if (await this.depthDecoder.isHighPrecisionFile(file)) {
+        const field = await this.depthDecoder.decode(file);
+        source = this.imageProcessor.depthFieldToCanvas(field);
+      } else {
+        source = await this.imageProcessor.loadImageFromFile(file);
+      }
+      if (this.files.depth !== file) return;
+
+      this.depthPreviewSource = this.imageProcessor.createPreview(source, 512, 512);
+      this.depthPreviewScale = this.depthPreviewSource.width / source.width;
+      this.updateDepthPreview();
+    } catch (error) {
+      console.error('Depth preview failed:', error);
+    }
+  }
+
+  /**
+   * 刷新深度图预览（应用重映射与降噪）
+   */
+  updateDepthPreview() {
+    if (!this.depthPreviewSource) return;
+
+    let canvas = this.depthRemapper.renderPreview(
+      this.depthPreviewSource,
+      this.getRemapParams(),
+      this.rawDepthHistogram
+    );
+
+    const denoise = this.getDenoiseParams();
+    const compareBtn = document.getElementById('depthCompareBtn');
+    if (this.depthFilter.isActive(denoise)) {
+      if (!this.showDepthBeforeDenoise) {
+        canvas = this.depthFilter.renderPreview(canvas, denoise, this.depthPreviewScale);
+      }
+      compareBtn.style.display = 'inline-block';
+      compareBtn.textContent = this.showDepthBeforeDenoise ? '降噪前' : '降噪后';
+    } else {
+      compareBtn.style.display = 'none';
+    }
+
+    document.getElementById('depthPreviewImg').src = canvas.toDataURL('image/png');
+  }
+
+  /**
+   * 读取深度降噪参数
+   * @returns {Object} 降噪参数
+   */
+  getDenoiseParams() {
+    return {
+      median: document.getElementById('denoiseMedian').checked,
+      bilateral: document.getElementById('denoiseBilateral').checked,
+      edgePreserving: document.getElementById('denoiseEdgePreserving').checked,
+      radius: parseInt(document.getElementById('denoiseRadius').value)
+    };
+  }
+
+  /**
+   * 将深度降噪参数写回界面
+   * @param {Object} params 降噪参数
+   */
+  setDenoiseParams(params) {
+    const p = { ...this.depthFilter.getDefaultParams(), ...params };
+    document.getElementById('denoiseMedian').checked = p.median;
+    document.getElementById('denoiseBilateral').checked = p.bilateral;
+    document.getElementById('denoiseEdgePreserving').checked = p.edgePreserving;
+    document.getElementById('denoiseRadius').value = p.radius;
+    this.updateDenoiseRadiusValue(p.radius);
+  }
+
+  /**
+   * 读取超像素对齐参数
+   * @returns {{enabled: boolean, regionSize: number, compactness: number}} 超像素参数
+   */
+  getSuperpixelParams() {
+    const regionSize = parseInt(document.getElementById('superpixelSize').value);
+    const compactness = parseFloat(document.getElementById('superpixelCompactness').value);
+    return {
+      enabled: document.getElementById('superpixelEnabled').checked,
+      regionSize: isNaN(regionSize) ? 20 : Math.max(4, regionSize),
+      compactness: isNaN(compactness) ? 10 : Math.max(1, compactness)
+    };
+  }
+
+  /**
+   * 将超像素对齐参数写回界面
+   * @param {Object} params 超像素参数
+   */
+  setSuperpixelParams(params) {
+    if (params.enabled !== undefined) {
+      document.getElementById('superpixelEnabled').checked = params.enabled;
+    }
+    if (params.regionSize !== undefined) {
+      document.getElementById('superpixelSize').value = params.regionSize;
+    }
+    if (params.compactness !== undefined) {
+      document.getElementById('superpixelCompactness').value = params.compactness;
+    }
+  }
+
+  /**
+   * 读取纸张模式参数
+   * @returns {{mode: string, colorCount: number, catalog: Array<{name: string, color: string}>}} 纸张模式参数
+   */
+  getPaperParams() {
+    const colorCount = parseInt(document.getElementById('paperColorCount').value);
+    return {
+      mode: document.getElementById('paperMode').value,
+      colorCount: isNaN(colorCount) ? 1 : Math.min(8, Math.max(1, colorCount)),
+      catalog: this.paperPalette.parseCatalog(document.getElementById('paperCatalog').value)
+    };
+  }
+
+  /**
+   * 将纸张模式参数写回界面
+   * @param {Object} params 纸张模式参数
+   */
+  setPaperParams(params) {
+    if (params.mode) {
+      document.getElementById('paperMode').value = params.mode;
+    }
+    if (params.colorCount !== undefined) {
+      document.getElementById('paperColorCount').value = params.colorCount;
+    }
+    if (params.catalog) {
+      document.getElementById('paperCatalog').value = this.paperPalette.formatCatalog(params.catalog);
+    }
+  }
+
+  /**
+   * 深度降噪参数变化：刷新预览并保存
+   */
+  handleDenoiseChange() {
+    this.updateDepthPreview();
+    this.saveSettings();
+  }
+
+  /**
+   * 更新降噪半径显示
+   * @param {string|number} value 半径
+   */
+  updateDenoiseRadiusValue(value) {
+    document.getElementById('denoiseRadiusValue').textContent = value;
+  }
+
+  /**
+   * 读取深度重映射参数
+   * @returns {Object} 重映射参数
+   */
+  getRemapParams() {
+    // 清空或非数字的输入回退为默认值，否则查找表整体变为NaN
+    const defaults = this.depthRemapper.getDefaultParams();
+    const readNumber = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return isNaN(value) ? fallback : value;
+    };
+    return {
+      invert: document.getElementById('remapInvert').checked,
+      gamma: readNumber('remapGamma', defaults.gamma),
+      blackPoint: readNumber('remapBlack', defaults.blackPoint),
+      whitePoint: readNumber('remapWhite', defaults.whitePoint),
+      autoNormalize: document.getElementById('remapAutoNormalize').checked,
+      lowPercentile: readNumber('remapLowPct', defaults.lowPercentile),
+      highPercentile: readNumber('remapHighPct', defaults.highPercentile),
+      curve: this.toneCurveEditor ? this.toneCurveEditor.getPoints() : [[0, 0], [100, 100]]
+    };
+  }
+
+  /**
+   * 将重映射参数写回界面
+   * @param {Object} params 重映射参数
+   */
+  setRemapParams(params) {
+    const p = this.depthRemapper.normalizeParams(params);
+    document.getElementById('remapInvert').checked = p.invert;
+    document.getElementById('remapGamma').value = p.gamma;
+    this.updateGammaValue(p.gamma);
+    document.getElementById('remapBlack').value = p.blackPoint;
+    document.getElementById('remapWhite').value = p.whitePoint;
+    document.getElementById('remapAutoNormalize').checked = p.autoNormalize;
+    document.getElementById('remapLowPct').value = p.lowPercentile;
+    document.getElementById('remapHighPct').value = p.highPercentile;
+    if (this.toneCurveEditor) {
+      this.toneCurveEditor.setPoints(p.curve);
+    }
+  }
+
+  /**
+   * 处理重映射参数变化
+   */
+  handleRemapChange() {
+    this.updateDepthPreview();
+    this.updateRemappedHistogram();
+    this.saveSettings();
+  }
+
+  /**
+   * 更新Gamma值显示
+   * @param {string|number} value Gamma值
+   */
+  updateGammaValue(value) {
+    document.getElementById('gammaValue').textContent = parseFloat(value).toFixed(2);
+  }
+
+  /**
+   * 根据当前设置刷新直方图上的层级范围
+   * @param {boolean} discardCustom 是否放弃手动调整的范围
+   */
+  updateHistogramRanges(discardCustom = false) {
+    const strategySelect = document.getElementById('rangeStrategy');
+
+    if (discardCustom && strategySelect.value === 'custom') {
+      strategySelect.value = this.lastAutoStrategy;
+    }
+    if (strategySelect.value !== 'custom') {
+      this.customRanges = null;
+    }
+
+    if (!this.depthHistogram || !this.depthHistogramData || this.customRanges) {
+      return;
+    }
+
+    const layers = parseInt(document.getElementById('layerCount').value);
+    const depthOverlap = parseInt(document.getElementById('depthOverlap').value) || 0;
+    const cutter = new BrowserDepthCutter(layers, depthOverlap, 0);
+    const ranges = cutter.generateDepthRangesFromHistogram(
+      layers,
+      depthOverlap,
+      strategySelect.value,
+      this.depthHistogramData
+    );
+    this.depthHistogram.setRanges(ranges);
+  }
+
+  /**
+   * 处理直方图中手动调整的深度范围
+   * @param {Array<{min: number, max: number}>} ranges 深度范围数组
+   */
+  handleCustomRangesChange(ranges) {
+    this.customRanges = ranges;
+    document.getElementById('rangeStrategy').value = 'custom';
   }
 
   /**
@@ -474,21 +961,119 @@ class DepthCutFrontendApp {
 
   /**
    * 开始处理
+   * @param {boolean} live 是否为实时重新切分（不显示进度区域，取消上一次未完成的重新切分）
+   * @param {boolean} fullResolution 是否忽略预览代理，以全分辨率渲染
    */
-  async startProcessing() {
+  async startProcessing(live = false, fullResolution = false) {
+    if (this.processingController) {
+      // 手动处理进行中时忽略
+      if (!live || !this.processingLive) return;
+      this.processingController.abort();
+    }
     if (!this.validateInputs()) return;
 
+    const controller = new AbortController();
+    this.processingController = controller;
+    this.processingLive = live;
     this.processingStartTime = Date.now();
-    this.showProgress();
+    if (live) {
+      document.getElementById('processStatus').textContent = '实时重新切分中...';
+    } else {
+      this.showProgress();
+    }
     
     try {
       // 固定使用手动模式处理
-      await this.processManual();
+      await this.processManual(controller.signal, live, fullResolution);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // 结果只在处理完成后替换，取消时保留当前结果（包括被新的实时重新切分取代时）
+        if (!live) {
+          this.hideProgress();
+          console.log('⏹️ 处理已取消');
+        }
+        return;
+      }
       console.error('Processing failed:', error);
       this.showError(error.message);
       this.hideProgress();
+    } finally {
+      if (this.processingController === controller) {
+        this.processingController = null;
+        this.processingLive = false;
+        if (live) this.updateProcessButton();
+      }
+    }
+  }
+
+  /**
+   * 设置变化后延迟重新切分（已有结果且启用实时重新切分时）
+   */
+  scheduleLiveRecut() {
+    if (!document.getElementById('liveRecut').checked) return;
+    if (!this.currentResults || !this.files.image || !this.files.depth) return;
+    
+    clearTimeout(this.liveRecutTimer);
+    this.liveRecutTimer = setTimeout(() => {
+      this.liveRecutTimer = null;
+      this.startProcessing(true);
+    }, 400);
+  }
+
+  /**
+   * 读取预览代理尺寸
+   * @returns {number} 代理长边像素，0 表示不使用代理
+   */
+  getProxySize() {
+    if (!document.getElementById('proxyPreview').checked) return 0;
+    const proxySize = parseInt(document.getElementById('proxySize').value);
+    return isNaN(proxySize) ? 1024 : Math.max(256, proxySize);
+  }
+
+  /**
+   * 读取分块处理的条带高度
+   * @returns {number} 每个条带的行数，0 表示整图处理
+   */
+  getTileHeight() {
+    if (!document.getElementById('tiledMode').checked) return 0;
+    if (!PngStreamEncoder.isSupported()) {
+      console.warn('⚠️  当前浏览器不支持流式PNG编码，使用整图处理');
+      return 0;
     }
+    const tileHeight = parseInt(document.getElementById('tileHeight').value);
+    return isNaN(tileHeight) ? 512 : Math.max(64, tileHeight);
+  }
+
+  /**
+   * 分块处理时停用其不支持的选项（切分器会忽略这些选项）
+   */
+  updateTiledModeControls() {
+    const tiled = document.getElementById('tiledMode').checked && PngStreamEncoder.isSupported();
+    ['minIslandArea', 'minHoleArea', 'bridges', 'bridgeWidth', 'inpaint', 'paperMode', 'superpixelEnabled',
+      'includeSvg', 'includeStencils', 'includeLabelMap'].forEach(id => {
+      document.getElementById(id).disabled = tiled;
+    });
+    document.querySelector('#upsampleMethod option[value="guided"]').disabled = tiled;
+  }
+
+  /**
+   * 释放已解码输入的缓存
+   */
+  clearInputCache() {
+    this.inputCache.key = null;
+    this.inputCache.originalPixels = null;
+    this.inputCache.depthField = null;
+    this.inputCache.renderScale = 1;
+  }
+
+  /**
+   * 取消层级切分
+   */
+  cancelProcessing() {
+    if (!this.processingController) return;
+    document.getElementById('cancelProcessBtn').disabled = true;
+    document.getElementById('progressDetails').textContent = '正在取消...';
+    this.processingController.abort();
   }
 
   /**
@@ -510,13 +1095,52 @@ class DepthCutFrontendApp {
   }
 
 
+  /**
+   * 读取界面上的切分参数
+   * @returns {{layers: number, depthOverlap: number, borderWidth: number, options: Object}} 切分器构造参数
+   */
+  getCutterSettings() {
+    const rangeStrategy = document.getElementById('rangeStrategy').value;
+    const proxySize = this.getProxySize();
+    return {
+      layers: parseInt(document.getElementById('layerCount').value),
+      depthOverlap: parseInt(document.getElementById('depthOverlap').value),
+      borderWidth: parseInt(document.getElementById('borderWidth').value),
+      options: {
+        rangeStrategy,
+        customRanges: rangeStrategy === 'custom' && this.customRanges ? this.customRanges.map(range => ({ ...range })) : null,
+        upsampleMethod: document.getElementById('upsampleMethod').value,
+        remap: this.getRemapParams(),
+        denoise: this.getDenoiseParams(),
+        superpixels: this.getSuperpixelParams(),
+        paper: { ...this.getPaperParams(), picks: { ...this.paperPicks } },
+        ...this.getEdgeOptions(),
+        ...this.getGlueOptions(),
+        ...this.getOutlineOptions(),
+        ...this.getCleanupOptions(),
+        ...this.getExportOptions(),
+        proxySize,
+        tileHeight: this.getTileHeight()
+      }
+    };
+  }
+
   /**
    * 手动模式处理
+   * @param {AbortSignal} signal 取消信号
+   * @param {boolean} live 是否为实时重新切分
+   * @param {boolean} fullResolution 是否以生成预览的参数快照、全分辨率重新渲染
    */
-  async processManual() {
-    const layers = parseInt(document.getElementById('layerCount').value);
-    const depthOverlap = parseInt(document.getElementById('depthOverlap').value);
-    const borderWidth = parseInt(document.getElementById('borderWidth').value);
+  async processManual(signal = null, live = false, fullResolution = false) {
+    // 渲染全分辨率不重新读取界面，之后修改的设置不会混入
+    const settings = fullResolution ? this.previewSettings : this.getCutterSettings();
+    if (!settings) {
+      throw new Error('没有可用于渲染全分辨率的预览参数，请重新处理');
+    }
+    // 预览代理已经缩小了图像，代理渲染不分块；快照保留分块设置，供全分辨率渲染使用
+    const options = fullResolution
+      ? { ...settings.options, proxySize: 0 }
+      : { ...settings.options, tileHeight: settings.options.proxySize > 0 ? 0 : settings.options.tileHeight };
     
     // 准备图像
     this.updateProgress(20, 1, '准备图像...');
@@ -524,16 +1148,37 @@ class DepthCutFrontendApp {
     // 处理层级切分
     this.updateProgress(40, 2, '开始层级切分...');
     
-    this.depthCutter = new BrowserDepthCutter(layers, depthOverlap, borderWidth);
-    this.currentResults = await this.depthCutter.process(
+    const depthCutter = new BrowserDepthCutter(settings.layers, settings.depthOverlap, settings.borderWidth, {
+      ...options,
+      workerPool: this.layerWorkerPool,
+      // 全分辨率渲染只执行一次，不替换预览代理的缓存；分块处理不保留整幅输入
+      inputCache: fullResolution || options.tileHeight > 0 ? null : this.inputCache
+    });
+    const results = await depthCutter.process(
       this.files.image,
       this.files.depth,
       (progress, message) => {
         const adjustedProgress = 40 + (progress * 0.5); // 40-90%
         this.updateProgress(adjustedProgress, 2, message);
-      }
+      },
+      signal
     );
     
+    // 处理完成后再替换，重新切分期间现有结果仍可下载
+    if (this.depthCutter && this.depthCutter !== depthCutter) {
+      this.depthCutter.cleanup();
+    }
+    this.depthCutter = depthCutter;
+    this.currentResults = results;
+    if (!fullResolution) {
+      this.previewSettings = settings;
+    }
+    
+    if (live) {
+      this.showResults(true);
+      return;
+    }
+    
     // 完成
     this.updateProgress(100, 3, '处理完成！');
     
@@ -546,6 +1191,7 @@ class DepthCutFrontendApp {
    * 显示进度
    */
   showProgress() {
+    document.getElementById('cancelProcessBtn').disabled = false;
     document.getElementById('progressSection').style.display = 'block';
     document.getElementById('progressSection').classList.add('fade-in');
     this.updateProgress(0, 0, '准备开始处理...');
@@ -583,8 +1229,9 @@ class DepthCutFrontendApp {
 
   /**
    * 显示处理结果
+   * @param {boolean} live 是否为实时重新切分（不滚动页面，3D预览保持当前视角）
    */
-  showResults() {
+  showResults(live = false) {
     this.hideProgress();
     
     const resultsSection = document.getElementById('resultsSection');
@@ -612,8 +1259,18 @@ class DepthCutFrontendApp {
     // 添加checkbox事件监听器
     this.setupLayerCheckboxListeners();
 
+    // 预览代理结果提示全分辨率渲染
+    const renderScale = this.depthCutter ? this.depthCutter.renderScale : 1;
+    document.getElementById('proxyNotice').style.display = renderScale < 1 ? 'flex' : 'none';
+    document.getElementById('proxyNoticeText').textContent =
+      `当前为预览分辨率结果（原图的 ${Math.round(renderScale * 100)}%），不可导出，请渲染全分辨率`;
+
     // 显示结果区域
     resultsSection.style.display = 'block';
+    if (live && this.threeDPreview) {
+      this.update3DPreview();
+      return;
+    }
     resultsSection.classList.add('fade-in');
     resultsSection.scrollIntoView({ behavior: 'smooth' });
 
@@ -636,20 +1293,84 @@ class DepthCutFrontendApp {
         <input type="checkbox" id="layer-checkbox-${index}" class="layer-checkbox" checked data-layer-index="${index}">
       </div>
       <div class="file-preview">
-        <img src="${result.previewDataUrl}" alt="Layer ${result.layer}" style="width: 100%; height: 100%; object-fit: contain; border-radius: var(--radius);">
+        <img id="layer-preview-${index}" src="${result.previewUrl}" alt="Layer ${result.layer}" style="width: 100%; height: 100%; object-fit: contain; border-radius: var(--radius);">
       </div>
       <div class="file-info">
         层级 ${result.layer}<br>
-        深度 ${result.depthRange}
+        深度 ${result.depthRange}${this.getLayerStatsText(result)}${this.getPaperSwatchHtml(result, index)}
+      </div>
+      <div class="file-actions">
+        <button class="file-download" onclick="app.downloadLayer(${index})">
+          下载
+        </button>
+        <button class="file-download file-download-secondary" onclick="app.downloadLayerSvg(${index})">
+          SVG
+        </button>
+        <button class="file-download file-download-secondary" onclick="app.downloadLayerDxf(${index})">
+          DXF
+        </button>
       </div>
-      <button class="file-download" onclick="app.downloadLayer(${index})">
-        下载
-      </button>
     `;
 
     return item;
   }
 
+  /**
+   * 生成层级后处理统计文本
+   * @param {Object} result 层级结果
+   * @returns {string} 统计文本（HTML）
+   */
+  getLayerStatsText(result) {
+    const stats = [];
+    if (result.gluePixelsAdded > 0) stats.push(`粘合边 +${result.gluePixelsAdded}px`);
+    if (result.thinPixelsRemoved > 0) stats.push(`细丝 -${result.thinPixelsRemoved}px`);
+    if (result.islandsRemoved > 0) stats.push(`孤岛 -${result.islandsRemoved}`);
+    if (result.holesFilled > 0) stats.push(`孔洞 +${result.holesFilled}`);
+    if (result.inpainted) stats.push(`背景补全 ${result.inpaintedPixels}px`);
+    if (result.bridgeCount > 0) stats.push(`连接桥 ${result.bridgeCount}`);
+    return stats.length > 0 ? `<br><span class="file-stats">${stats.join(' · ')}</span>` : '';
+  }
+
+  /**
+   * 生成层级纸张颜色色块（手动取色模式下色块可点击修改）
+   * @param {Object} result 层级结果
+   * @param {number} index 层级索引
+   * @returns {string} 色块HTML
+   */
+  getPaperSwatchHtml(result, index) {
+    if (!result.paperColors) return '';
+    const editable = this.depthCutter && this.depthCutter.paper && this.depthCutter.paper.mode === 'picked';
+    const swatches = result.paperColors.map((entry, k) => {
+      const title = entry.name ? `${entry.name} ${entry.color}` : entry.color;
+      if (editable) {
+        return `<input type="color" class="paper-swatch paper-swatch-input" value="${entry.color}" title="${title}" onchange="app.pickPaperColor(${index}, ${k}, this.value)">`;
+      }
+      return `<span class="paper-swatch" style="background: ${entry.color}" title="${title}"></span>`;
+    });
+    return `<br><span class="paper-swatches">${swatches.join('')}</span>`;
+  }
+
+  /**
+   * 手动修改层级纸张颜色
+   * @param {number} index 层级索引
+   * @param {number} paletteIndex 颜色编号
+   * @param {string} color 新颜色（#rrggbb）
+   */
+  async pickPaperColor(index, paletteIndex, color) {
+    try {
+      this.paperPicks[index] = color;
+      const result = await this.depthCutter.recolorLayer(index, paletteIndex, color);
+      const preview = document.getElementById(`layer-preview-${index}`);
+      if (preview) {
+        preview.src = result.previewUrl;
+      }
+      this.update3DPreview();
+    } catch (error) {
+      console.error('Recolor failed:', error);
+      this.showError(`修改颜色失败: ${error.message}`);
+    }
+  }
+
   /**
    * 下载单个层级
    * @param {number} index 层级索引
@@ -662,6 +1383,62 @@ class DepthCutFrontendApp {
     }
   }
 
+  /**
+   * 下载单个层级的SVG切割路径
+   * @param {number} index 层级索引
+   */
+  async downloadLayerSvg(index) {
+    try {
+      await this.depthCutter.downloadLayerSvg(index);
+    } catch (error) {
+      this.showError(`SVG导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 下载单个层级的DXF切割轮廓
+   * @param {number} index 层级索引
+   */
+  async downloadLayerDxf(index) {
+    try {
+      await this.depthCutter.downloadLayerDxf(index);
+    } catch (error) {
+      this.showError(`DXF导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 下载勾选层级的DXF切割轮廓
+   */
+  async downloadSelectedDxf() {
+    const downloadBtn = document.getElementById('downloadDxfBtn');
+    const originalText = downloadBtn.innerHTML;
+    
+    const selectedIndices = [];
+    this.layerVisibility.forEach((isVisible, index) => {
+      if (isVisible) {
+        selectedIndices.push(index);
+      }
+    });
+
+    if (selectedIndices.length === 0) {
+      this.showError('请至少勾选一个文件');
+      return;
+    }
+
+    try {
+      downloadBtn.disabled = true;
+      downloadBtn.innerHTML = '<span class="btn-icon">⏳</span>正在导出...';
+      await this.depthCutter.downloadSelectedAsDxf(selectedIndices);
+    } catch (error) {
+      console.error('DXF download failed:', error);
+      this.showError(`DXF导出失败: ${error.message}`);
+    } finally {
+      downloadBtn.disabled = false;
+      downloadBtn.innerHTML = originalText;
+    }
+  }
+
   /**
    * 下载所有文件
    */
@@ -730,6 +1507,18 @@ class DepthCutFrontendApp {
    * 重置表单
    */
   resetForm() {
+    // 取消进行中的任务
+    if (this.processingController) {
+      this.processingController.abort();
+    }
+    if (this.depthGenerationController) {
+      this.depthGenerationController.abort();
+    }
+    clearTimeout(this.liveRecutTimer);
+    this.liveRecutTimer = null;
+    this.clearInputCache();
+    this.previewSettings = null;
+    
     // 重置文件
     this.files = { image: null, depth: null };
     this.currentResults = null;
@@ -742,15 +1531,49 @@ class DepthCutFrontendApp {
     document.getElementById('depthFile').value = '';
     
     // 隐藏结果区域
+    document.getElementById('histogramSection').style.display = 'none';
     document.getElementById('progressSection').style.display = 'none';
     document.getElementById('resultsSection').style.display = 'none';
     document.getElementById('preview3dSection').style.display = 'none';
     
     // 重置设置
     this.setLayers(16);
+    document.getElementById('rangeStrategy').value = 'equal';
+    this.lastAutoStrategy = 'equal';
+    this.customRanges = null;
+    document.getElementById('upsampleMethod').value = 'bilinear';
     document.getElementById('depthOverlap').value = 100;
     document.getElementById('borderWidth').value = 4;
     this.updateBorderValue(4);
+    document.getElementById('liveRecut').checked = false;
+    document.getElementById('proxyPreview').checked = false;
+    document.getElementById('proxySize').value = 1024;
+    document.getElementById('tiledMode').checked = false;
+    document.getElementById('tileHeight').value = 512;
+    this.updateTiledModeControls();
+    this.setEdgeOptions({ edgeMode: 'hard', featherDepth: 1, featherPixels: 0 });
+    this.setGlueOptions({ glueMargin: 0, glueUnit: 'px', glueShape: 'circle', glueFartherOnly: false });
+    this.setOutlineOptions({ outlineWidth: 0, outlineColor: '#ffffff', outlinePosition: 'outside', outlineShadow: false, shadowDistance: 4 });
+    this.setCleanupOptions({ minFeatureMm: 0, minIslandArea: 0, minHoleArea: 0, inpaint: false, bridges: false, bridgeWidth: 4 });
+    this.setExportOptions({
+      physicalWidthMm: 0,
+      dpi: 300,
+      includeSvg: false,
+      dxfLayout: 'sheet',
+      includeStencils: false,
+      stencilPattern: 'stencil_{index}.png',
+      includeLabelMap: false,
+      labelMapFilename: 'labels.png'
+    });
+    this.setRemapParams(this.depthRemapper.getDefaultParams());
+    this.setDenoiseParams(this.depthFilter.getDefaultParams());
+    this.setSuperpixelParams({ enabled: false, regionSize: 20, compactness: 10 });
+    this.setPaperParams({ mode: 'off', colorCount: 1, catalog: this.paperPalette.getDefaultCatalog() });
+    this.paperPicks = {};
+    this.showDepthBeforeDenoise = false;
+    this.depthPreviewSource = null;
+    this.rawDepthHistogram = null;
+    this.saveSettings();
     
     const spacingSlider = document.getElementById('spacingSlider');
     if (spacingSlider) {
@@ -758,6 +1581,13 @@ class DepthCutFrontendApp {
       this.updateSpacingValue(0.025);
     }
     
+    // 清理深度分布
+    this.analysisToken++;
+    this.depthHistogramData = null;
+    if (this.depthHistogram) {
+      this.depthHistogram.clear();
+    }
+    
     // 清理处理器
     if (this.depthCutter) {
       this.depthCutter.cleanup();
@@ -882,6 +1712,12 @@ class DepthCutFrontendApp {
     document.getElementById('layerCount').value = 16;
     this.updateLayerValue(16);
     
+    // 设置默认分层策略为等宽
+    document.getElementById('rangeStrategy').value = 'equal';
+    
+    // 设置默认深度图放大方式为双线性
+    document.getElementById('upsampleMethod').value = 'bilinear';
+    
     // 设置默认冗余100
     document.getElementById('depthOverlap').value = 100;
     
@@ -889,6 +1725,50 @@ class DepthCutFrontendApp {
     document.getElementById('borderWidth').value = 4;
     this.updateBorderValue(4);
     
+    // 默认不实时重新切分，不使用预览代理（代理长边1024像素），不分块处理（条带512行）
+    document.getElementById('liveRecut').checked = false;
+    document.getElementById('proxyPreview').checked = false;
+    document.getElementById('proxySize').value = 1024;
+    document.getElementById('tiledMode').checked = false;
+    document.getElementById('tileHeight').value = 512;
+    this.updateTiledModeControls();
+    
+    // 默认硬边缘，不羽化
+    this.setEdgeOptions({ edgeMode: 'hard', featherDepth: 1, featherPixels: 0 });
+    
+    // 默认不外扩粘合边
+    this.setGlueOptions({ glueMargin: 0, glueUnit: 'px', glueShape: 'circle', glueFartherOnly: false });
+    
+    // 默认不描边、无投影
+    this.setOutlineOptions({ outlineWidth: 0, outlineColor: '#ffffff', outlinePosition: 'outside', outlineShadow: false, shadowDistance: 4 });
+    
+    // 默认不做最小特征宽度处理、不清理碎片、不补全背景、不生成连接桥
+    this.setCleanupOptions({ minFeatureMm: 0, minIslandArea: 0, minHoleArea: 0, inpaint: false, bridges: false, bridgeWidth: 4 });
+    
+    // 默认按像素尺寸导出SVG，毫米换算使用300DPI，不附带模板与标签图
+    this.setExportOptions({
+      physicalWidthMm: 0,
+      dpi: 300,
+      includeSvg: false,
+      dxfLayout: 'sheet',
+      includeStencils: false,
+      stencilPattern: 'stencil_{index}.png',
+      includeLabelMap: false,
+      labelMapFilename: 'labels.png'
+    });
+    
+    // 深度重映射默认为恒等映射
+    this.setRemapParams(this.depthRemapper.getDefaultParams());
+    
+    // 默认不降噪
+    this.setDenoiseParams(this.depthFilter.getDefaultParams());
+    
+    // 默认不做超像素对齐
+    this.setSuperpixelParams({ enabled: false, regionSize: 20, compactness: 10 });
+    
+    // 默认不使用纸张模式，色卡为常见卡纸颜色
+    this.setPaperParams({ mode: 'off', colorCount: 1, catalog: this.paperPalette.getDefaultCatalog() });
+    
     // 设置默认间距0.02
     const spacingSlider = document.getElementById('spacingSlider');
     if (spacingSlider) {
@@ -897,6 +1777,305 @@ class DepthCutFrontendApp {
     }
   }
 
+  /**
+   * 收集需要保存的处理设置
+   * @returns {Object} 处理设置
+   */
+  getSettings() {
+    const rangeStrategy = document.getElementById('rangeStrategy').value;
+    return {
+      layerCount: parseInt(document.getElementById('layerCount').value),
+      rangeStrategy: rangeStrategy === 'custom' ? this.lastAutoStrategy : rangeStrategy,
+      upsampleMethod: document.getElementById('upsampleMethod').value,
+      depthOverlap: parseInt(document.getElementById('depthOverlap').value),
+      borderWidth: parseInt(document.getElementById('borderWidth').value),
+      liveRecut: document.getElementById('liveRecut').checked,
+      proxyPreview: document.getElementById('proxyPreview').checked,
+      proxySize: parseInt(document.getElementById('proxySize').value),
+      tiledMode: document.getElementById('tiledMode').checked,
+      tileHeight: parseInt(document.getElementById('tileHeight').value),
+      ...this.getEdgeOptions(),
+      ...this.getGlueOptions(),
+      ...this.getOutlineOptions(),
+      ...this.getCleanupOptions(),
+      ...this.getExportOptions(),
+      remap: this.getRemapParams(),
+      denoise: this.getDenoiseParams(),
+      superpixels: this.getSuperpixelParams(),
+      paper: this.getPaperParams()
+    };
+  }
+
+  /**
+   * 读取边缘模式设置
+   * @returns {{edgeMode: string, featherDepth: number, featherPixels: number}} 边缘选项
+   */
+  getEdgeOptions() {
+    const featherDepth = parseFloat(document.getElementById('featherDepth').value);
+    const featherPixels = parseInt(document.getElementById('featherPixels').value);
+    return {
+      edgeMode: document.getElementById('edgeMode').value,
+      featherDepth: isNaN(featherDepth) ? 1 : Math.max(0, featherDepth),
+      featherPixels: isNaN(featherPixels) ? 0 : Math.max(0, featherPixels)
+    };
+  }
+
+  /**
+   * 读取粘合边设置
+   * @returns {{glueMargin: number, glueUnit: string, glueShape: string, glueFartherOnly: boolean}} 粘合边选项
+   */
+  getGlueOptions() {
+    const glueMargin = parseFloat(document.getElementById('glueMargin').value);
+    return {
+      glueMargin: isNaN(glueMargin) ? 0 : Math.max(0, glueMargin),
+      glueUnit: document.getElementById('glueUnit').value,
+      glueShape: document.getElementById('glueShape').value,
+      glueFartherOnly: document.getElementById('glueFartherOnly').checked
+    };
+  }
+
+  /**
+   * 设置粘合边控件
+   * @param {Object} options 粘合边选项
+   */
+  setGlueOptions(options) {
+    if (options.glueMargin !== undefined) {
+      document.getElementById('glueMargin').value = options.glueMargin;
+    }
+    if (options.glueUnit) {
+      document.getElementById('glueUnit').value = options.glueUnit;
+    }
+    if (options.glueShape) {
+      document.getElementById('glueShape').value = options.glueShape;
+    }
+    if (options.glueFartherOnly !== undefined) {
+      document.getElementById('glueFartherOnly').checked = options.glueFartherOnly;
+    }
+  }
+
+  /**
+   * 读取轮廓描边设置
+   * @returns {{outlineWidth: number, outlineColor: string, outlinePosition: string, outlineShadow: boolean, shadowDistance: number}} 描边选项
+   */
+  getOutlineOptions() {
+    const outlineWidth = parseFloat(document.getElementById('outlineWidth').value);
+    const shadowDistance = parseFloat(document.getElementById('shadowDistance').value);
+    return {
+      outlineWidth: isNaN(outlineWidth) ? 0 : Math.max(0, outlineWidth),
+      outlineColor: document.getElementById('outlineColor').value,
+      outlinePosition: document.getElementById('outlinePosition').value,
+      outlineShadow: document.getElementById('outlineShadow').checked,
+      shadowDistance: isNaN(shadowDistance) ? 4 : Math.max(0, shadowDistance)
+    };
+  }
+
+  /**
+   * 设置轮廓描边控件
+   * @param {Object} options 描边选项
+   */
+  setOutlineOptions(options) {
+    if (options.outlineWidth !== undefined) {
+      document.getElementById('outlineWidth').value = options.outlineWidth;
+    }
+    if (options.outlineColor) {
+      document.getElementById('outlineColor').value = options.outlineColor;
+    }
+    if (options.outlinePosition) {
+      document.getElementById('outlinePosition').value = options.outlinePosition;
+    }
+    if (options.outlineShadow !== undefined) {
+      document.getElementById('outlineShadow').checked = options.outlineShadow;
+    }
+    if (options.shadowDistance !== undefined) {
+      document.getElementById('shadowDistance').value = options.shadowDistance;
+    }
+  }
+
+  /**
+   * 读取最小特征宽度、碎片清理、背景补全与连接桥设置
+   * @returns {{minFeatureMm: number, minIslandArea: number, minHoleArea: number, inpaint: boolean, bridges: boolean, bridgeWidth: number}} 清理选项
+   */
+  getCleanupOptions() {
+    const minFeatureMm = parseFloat(document.getElementById('minFeatureMm').value);
+    const minIslandArea = parseInt(document.getElementById('minIslandArea').value);
+    const minHoleArea = parseInt(document.getElementById('minHoleArea').value);
+    const bridgeWidth = parseInt(document.getElementById('bridgeWidth').value);
+    return {
+      minFeatureMm: isNaN(minFeatureMm) ? 0 : Math.max(0, minFeatureMm),
+      minIslandArea: isNaN(minIslandArea) ? 0 : Math.max(0, minIslandArea),
+      minHoleArea: isNaN(minHoleArea) ? 0 : Math.max(0, minHoleArea),
+      inpaint: document.getElementById('inpaint').checked,
+      bridges: document.getElementById('bridges').checked,
+      bridgeWidth: isNaN(bridgeWidth) ? 4 : Math.max(1, bridgeWidth)
+    };
+  }
+
+  /**
+   * 设置最小特征宽度、碎片清理、背景补全与连接桥控件
+   * @param {Object} options 清理选项
+   */
+  setCleanupOptions(options) {
+    if (options.minFeatureMm !== undefined) {
+      document.getElementById('minFeatureMm').value = options.minFeatureMm;
+    }
+    if (options.minIslandArea !== undefined) {
+      document.getElementById('minIslandArea').value = options.minIslandArea;
+    }
+    if (options.minHoleArea !== undefined) {
+      document.getElementById('minHoleArea').value = options.minHoleArea;
+    }
+    if (options.inpaint !== undefined) {
+      document.getElementById('inpaint').checked = options.inpaint;
+    }
+    if (options.bridges !== undefined) {
+      document.getElementById('bridges').checked = options.bridges;
+    }
+    if (options.bridgeWidth !== undefined) {
+      document.getElementById('bridgeWidth').value = options.bridgeWidth;
+    }
+  }
+
+  /**
+   * 读取矢量、模板与标签图导出设置
+   * @returns {{physicalWidthMm: number, dpi: number, includeSvg: boolean, dxfLayout: string, includeStencils: boolean, stencilPattern: string, includeLabelMap: boolean, labelMapFilename: string}} 导出选项
+   */
+  getExportOptions() {
+    const physicalWidthMm = parseFloat(document.getElementById('physicalWidth').value);
+    const dpi = parseInt(document.getElementById('targetDpi').value);
+    return {
+      physicalWidthMm: isNaN(physicalWidthMm) ? 0 : Math.max(0, physicalWidthMm),
+      dpi: isNaN(dpi) || dpi <= 0 ? 300 : dpi,
+      includeSvg: document.getElementById('includeSvg').checked,
+      dxfLayout: document.getElementById('dxfLayout').value,
+      includeStencils: document.getElementById('includeStencils').checked,
+      stencilPattern: document.getElementById('stencilPattern').value.trim() || 'stencil_{index}.png',
+      includeLabelMap: document.getElementById('includeLabelMap').checked,
+      labelMapFilename: document.getElementById('labelMapFilename').value.trim() || 'labels.png'
+    };
+  }
+
+  /**
+   * 设置矢量、模板与标签图导出控件
+   * @param {Object} options 导出选项
+   */
+  setExportOptions(options) {
+    if (options.physicalWidthMm !== undefined) {
+      document.getElementById('physicalWidth').value = options.physicalWidthMm;
+    }
+    if (options.dpi !== undefined) {
+      document.getElementById('targetDpi').value = options.dpi;
+    }
+    if (options.includeSvg !== undefined) {
+      document.getElementById('includeSvg').checked = options.includeSvg;
+    }
+    if (options.dxfLayout) {
+      document.getElementById('dxfLayout').value = options.dxfLayout;
+    }
+    if (options.includeStencils !== undefined) {
+      document.getElementById('includeStencils').checked = options.includeStencils;
+    }
+    if (options.stencilPattern) {
+      document.getElementById('stencilPattern').value = options.stencilPattern;
+    }
+    if (options.includeLabelMap !== undefined) {
+      document.getElementById('includeLabelMap').checked = options.includeLabelMap;
+    }
+    if (options.labelMapFilename) {
+      document.getElementById('labelMapFilename').value = options.labelMapFilename;
+    }
+  }
+
+  /**
+   * 设置边缘模式控件
+   * @param {Object} options 边缘选项
+   */
+  setEdgeOptions(options) {
+    if (options.edgeMode) {
+      document.getElementById('edgeMode').value = options.edgeMode;
+    }
+    if (options.featherDepth !== undefined) {
+      document.getElementById('featherDepth').value = options.featherDepth;
+    }
+    if (options.featherPixels !== undefined) {
+      document.getElementById('featherPixels').value = options.featherPixels;
+    }
+  }
+
+  /**
+   * 保存处理设置到本地存储
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('depthcut_settings', JSON.stringify(this.getSettings()));
+    } catch (error) {
+      console.warn('Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * 从本地存储恢复处理设置
+   */
+  loadSettings() {
+    let settings = null;
+    try {
+      settings = JSON.parse(localStorage.getItem('depthcut_settings'));
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+    }
+    if (!settings) return;
+
+    if (settings.layerCount) {
+      this.setLayers(settings.layerCount);
+    }
+    if (settings.rangeStrategy) {
+      document.getElementById('rangeStrategy').value = settings.rangeStrategy;
+      this.lastAutoStrategy = settings.rangeStrategy;
+    }
+    if (settings.upsampleMethod) {
+      document.getElementById('upsampleMethod').value = settings.upsampleMethod;
+    }
+    if (settings.depthOverlap !== undefined) {
+      document.getElementById('depthOverlap').value = settings.depthOverlap;
+    }
+    if (settings.borderWidth !== undefined) {
+      document.getElementById('borderWidth').value = settings.borderWidth;
+      this.updateBorderValue(settings.borderWidth);
+    }
+    if (settings.liveRecut !== undefined) {
+      document.getElementById('liveRecut').checked = settings.liveRecut;
+    }
+    if (settings.proxyPreview !== undefined) {
+      document.getElementById('proxyPreview').checked = settings.proxyPreview;
+    }
+    if (settings.proxySize) {
+      document.getElementById('proxySize').value = settings.proxySize;
+    }
+    if (settings.tiledMode !== undefined) {
+      document.getElementById('tiledMode').checked = settings.tiledMode;
+      this.updateTiledModeControls();
+    }
+    if (settings.tileHeight) {
+      document.getElementById('tileHeight').value = settings.tileHeight;
+    }
+    this.setEdgeOptions(settings);
+    this.setGlueOptions(settings);
+    this.setOutlineOptions(settings);
+    this.setCleanupOptions(settings);
+    this.setExportOptions(settings);
+    if (settings.remap) {
+      this.setRemapParams(settings.remap);
+    }
+    if (settings.denoise) {
+      this.setDenoiseParams(settings.denoise);
+    }
+    if (settings.superpixels) {
+      this.setSuperpixelParams(settings.superpixels);
+    }
+    if (settings.paper) {
+      this.setPaperParams(settings.paper);
+    }
+  }
+
   /**
    * 重置相机视角
    */
@@ -1005,6 +2184,10 @@ function downloadSelectedFiles() {
   app.downloadSelectedFiles();
 }
 
+function downloadSelectedDxf() {
+  app.downloadSelectedDxf();
+}
+
 // 初始化应用
 const app = new DepthCutFrontendApp();
 
@@ -0,0 +1,248 @@
+/**
+ * ToneCurveEditor - 色调曲线编辑器
+ * 点击添加控制点，拖拽移动，双击删除（首尾端点只能上下移动）
+ */
+
+class ToneCurveEditor {
+  constructor(containerId, onChange = null) {
+    this.containerId = containerId;
+    this.container = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.onChange = onChange;
+    this.points = [[0, 0], [100, 100]];
+    this.dragIndex = -1;
+    this.size = 180;
+    this.hitRadius = 8;
+    this.remapper = new DepthRemapper();
+
+    // 绑定方法
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onDoubleClick = this.onDoubleClick.bind(this);
+  }
+
+  /**
+   * 初始化Canvas
+   */
+  init() {
+    if (this.container) return;
+
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      throw new Error(`Container with id '${this.containerId}' not found`);
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'curve-canvas';
+    this.canvas.width = this.size;
+    this.canvas.height = this.size;
+    this.ctx = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    this.canvas.addEventListener('dblclick', this.onDoubleClick);
+
+    this.render();
+  }
+
+  /**
+   * 设置控制点
+   * @param {Array<Array<number>>} points 控制点 [[x, y], ...] (0-100)
+   */
+  setPoints(points) {
+    this.points = points.map(point => [point[0], point[1]]).sort((a, b) => a[0] - b[0]);
+    this.render();
+  }
+
+  /**
+   * 获取控制点（副本）
+   * @returns {Array<Array<number>>} 控制点
+   */
+  getPoints() {
+    return this.points.map(point => [point[0], point[1]]);
+  }
+
+  /**
+   * 重置为线性曲线
+   */
+  reset() {
+    this.setPoints([[0, 0], [100, 100]]);
+    this.emitChange();
+  }
+
+  /**
+   * 绘制曲线
+   */
+  render() {
+    if (!this.ctx) return;
+
+    const ctx = this.ctx;
+    const size = this.size;
+    ctx.clearRect(0, 0, size, size);
+
+    // 网格
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      const p = Math.round((i / 4) * size) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(p, 0);
+      ctx.lineTo(p, size);
+      ctx.moveTo(0, p);
+      ctx.lineTo(size, p);
+      ctx.stroke();
+    }
+
+    // 曲线
+    const curve = this.remapper.createCurveFunction(this.points);
+    ctx.strokeStyle = '#2563eb';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let x = 0; x <= size; x++) {
+      const value = curve((x / size) * 100);
+      const y = size - (value / 100) * size;
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    // 控制点
+    ctx.fillStyle = '#1e293b';
+    this.points.forEach(point => {
+      const { x, y } = this.toCanvas(point);
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  /**
+   * 曲线坐标转换为Canvas坐标
+   * @param {Array<number>} point 控制点
+   * @returns {{x: number, y: number}} Canvas坐标
+   */
+  toCanvas(point) {
+    return {
+      x: (point[0] / 100) * this.size,
+      y: this.size - (point[1] / 100) * this.size
+    };
+  }
+
+  /**
+   * 指针事件转换为曲线坐标
+   * @param {PointerEvent|MouseEvent} e 指针事件
+   * @returns {Array<number>} 曲线坐标 [x, y]
+   */
+  toCurve(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = 100 - ((e.clientY - rect.top) / rect.height) * 100;
+    return [
+      Math.round(Math.min(100, Math.max(0, x)) * 10) / 10,
+      Math.round(Math.min(100, Math.max(0, y)) * 10) / 10
+    ];
+  }
+
+  /**
+   * 查找指针附近的控制点
+   * @param {PointerEvent|MouseEvent} e 指针事件
+   * @returns {number} 控制点索引，未命中返回 -1
+   */
+  findPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * this.size;
+    const py = ((e.clientY - rect.top) / rect.height) * this.size;
+
+    return this.points.findIndex(point => {
+      const { x, y } = this.toCanvas(point);
+      return Math.hypot(px - x, py - y) <= this.hitRadius;
+    });
+  }
+
+  /**
+   * 按下：选中控制点，或在空白处添加新点
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerDown(e) {
+    let index = this.findPoint(e);
+    if (index === -1) {
+      const point = this.toCurve(e);
+      if (point[0] <= 0 || point[0] >= 100) return;
+      this.points.push(point);
+      this.points.sort((a, b) => a[0] - b[0]);
+      index = this.points.indexOf(point);
+    }
+
+    this.dragIndex = index;
+    this.canvas.setPointerCapture(e.pointerId);
+    this.render();
+  }
+
+  /**
+   * 拖拽控制点（x 限制在相邻点之间）
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerMove(e) {
+    if (this.dragIndex === -1) return;
+
+    const [x, y] = this.toCurve(e);
+    const point = this.points[this.dragIndex];
+    const last = this.points.length - 1;
+
+    if (this.dragIndex > 0 && this.dragIndex < last) {
+      const left = this.points[this.dragIndex - 1][0] + 0.5;
+      const right = this.points[this.dragIndex + 1][0] - 0.5;
+      point[0] = Math.min(right, Math.max(left, x));
+    }
+    point[1] = y;
+    this.render();
+  }
+
+  /**
+   * 松开：结束拖拽并通知外部
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerUp(e) {
+    if (this.dragIndex === -1) return;
+
+    this.dragIndex = -1;
+    if (this.canvas.hasPointerCapture(e.pointerId)) {
+      this.canvas.releasePointerCapture(e.pointerId);
+    }
+    this.emitChange();
+  }
+
+  /**
+   * 双击删除中间控制点
+   * @param {MouseEvent} e 鼠标事件
+   */
+  onDoubleClick(e) {
+    const index = this.findPoint(e);
+    if (index > 0 && index < this.points.length - 1) {
+      this.points.splice(index, 1);
+      this.render();
+      this.emitChange();
+    }
+  }
+
+  /**
+   * 通知外部曲线已修改
+   */
+  emitChange() {
+    if (this.onChange) {
+      this.onChange(this.getPoints());
+    }
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ToneCurveEditor;
+} else {
+  window.ToneCurveEditor = ToneCurveEditor;
+}
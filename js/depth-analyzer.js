@@ -0,0 +1,232 @@
+/**
+ * DepthAnalyzer - 深度分布分析器
+ * 基于深度直方图计算层级分界点（等宽、等像素、多级Otsu、K-means）
+ */
+
+class DepthAnalyzer {
+  constructor(bins = 1000) {
+    this.bins = bins; // 0-100 划分为 bins 个区间，默认精度 0.1
+    this.maxDepth = 100;
+  }
+
+  /**
+   * 统计深度直方图
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @returns {{counts: Uint32Array, total: number, binSize: number}} 直方图
+   */
+  computeHistogram(depthField) {
+    const counts = new Uint32Array(this.bins);
+    const scale = this.bins / this.maxDepth;
+    const data = depthField.data;
+
+    for (let i = 0; i < data.length; i++) {
+      const bin = Math.min(this.bins - 1, Math.max(0, Math.floor(data[i] * scale)));
+      counts[bin]++;
+    }
+
+    return { counts, total: data.length, binSize: this.maxDepth / this.bins };
+  }
+
+  /**
+   * 等宽分界点
+   * @param {number} layerCount 层级数量
+   * @returns {number[]} 分界点数组（长度 layerCount + 1）
+   */
+  equalWidthBreakpoints(layerCount) {
+    const breakpoints = [];
+    const stepSize = this.maxDepth / layerCount;
+    for (let i = 0; i <= layerCount; i++) {
+      breakpoints.push(stepSize * i);
+    }
+    return breakpoints;
+  }
+
+  /**
+   * 等像素分界点（按直方图分位数切分）
+   * @param {Object} histogram 直方图
+   * @param {number} layerCount 层级数量
+   * @returns {number[]} 分界点数组
+   */
+  quantileBreakpoints(histogram, layerCount) {
+    const { counts, total, binSize } = histogram;
+    const breakpoints = [0];
+    let cumulative = 0;
+    let next = 1;
+
+    for (let bin = 0; bin < counts.length && next < layerCount; bin++) {
+      cumulative += counts[bin];
+      // 累计像素达到第 next 个分位时，在该区间上沿切分
+      while (next < layerCount && cumulative >= (total * next) / layerCount) {
+        breakpoints.push((bin + 1) * binSize);
+        next++;
+      }
+    }
+
+    while (breakpoints.length < layerCount) {
+      breakpoints.push(this.maxDepth);
+    }
+    breakpoints.push(this.maxDepth);
+
+    // 大面积平坦区域（如纯色背景）会使多个分位落在同一区间，依次错开至少一个区间宽度，避免零宽度的空层级
+    for (let i = 1; i < layerCount; i++) {
+      const upper = this.maxDepth - (layerCount - i) * binSize;
+      breakpoints[i] = Math.min(upper, Math.max(breakpoints[i], breakpoints[i - 1] + binSize));
+    }
+
+    return breakpoints;
+  }
+
+  /**
+   * 检查分界点是否严格递增（每个层级宽度大于0）
+   * @param {number[]} breakpoints 分界点数组
+   * @returns {boolean} 是否严格递增
+   */
+  isStrictlyIncreasing(breakpoints) {
+    for (let i = 1; i < breakpoints.length; i++) {
+      if (!(breakpoints[i] > breakpoints[i - 1])) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 多级Otsu分界点（动态规划求类内方差最小的划分）
+   * @param {Object} histogram 直方图
+   * @param {number} layerCount 层级数量
+   * @returns {number[]|null} 分界点数组，非空区间不足时返回 null
+   */
+  otsuBreakpoints(histogram, layerCount) {
+    const bins = this.getNonEmptyBins(histogram);
+    const n = bins.length;
+    if (n < layerCount) return null;
+
+    // 前缀和：像素数与深度加权和
+    const w = new Float64Array(n + 1);
+    const s = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) {
+      w[i + 1] = w[i] + bins[i].count;
+      s[i + 1] = s[i] + bins[i].count * bins[i].value;
+    }
+
+    const score = (i, j) => {
+      const weight = w[j] - w[i];
+      const sum = s[j] - s[i];
+      return weight > 0 ? (sum * sum) / weight : 0;
+    };
+
+    // best[k][j]: 前 j 个区间分成 k 类时的最大类间得分
+    let prev = new Float64Array(n + 1).fill(-Infinity);
+    prev[0] = 0;
+    const splits = [];
+
+    for (let k = 1; k <= layerCount; k++) {
+      const curr = new Float64Array(n + 1).fill(-Infinity);
+      const choice = new Int32Array(n + 1);
+      for (let j = k; j <= n - (layerCount - k); j++) {
+        for (let i = k - 1; i < j; i++) {
+          if (prev[i] === -Infinity) continue;
+          const value = prev[i] + score(i, j);
+          if (value > curr[j]) {
+            curr[j] = value;
+            choice[j] = i;
+          }
+        }
+      }
+      splits.push(choice);
+      prev = curr;
+    }
+
+    // 回溯分界位置
+    const cuts = [];
+    let j = n;
+    for (let k = layerCount - 1; k >= 0; k--) {
+      const i = splits[k][j];
+      cuts.unshift(i);
+      j = i;
+    }
+
+    const breakpoints = cuts.map((index, k) => (k === 0 ? 0 : bins[index].start));
+    breakpoints.push(this.maxDepth);
+    return breakpoints;
+  }
+
+  /**
+   * K-means分界点（一维加权K-means，分界取相邻中心的中点）
+   * @param {Object} histogram 直方图
+   * @param {number} layerCount 层级数量
+   * @param {number} maxIterations 最大迭代次数
+   * @returns {number[]|null} 分界点数组，非空区间不足时返回 null
+   */
+  kmeansBreakpoints(histogram, layerCount, maxIterations = 100) {
+    const bins = this.getNonEmptyBins(histogram);
+    if (bins.length < layerCount) return null;
+
+    // 以等像素分段内的平均深度初始化聚类中心
+    const initial = this.quantileBreakpoints(histogram, layerCount);
+    let centers = [];
+    for (let k = 0; k < layerCount; k++) {
+      let sum = 0;
+      let weight = 0;
+      for (const bin of bins) {
+        if (bin.start >= initial[k] && bin.start < initial[k + 1]) {
+          sum += bin.count * bin.value;
+          weight += bin.count;
+        }
+      }
+      centers.push(weight > 0 ? sum / weight : (initial[k] + initial[k + 1]) / 2);
+    }
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+      const sums = new Float64Array(layerCount);
+      const weights = new Float64Array(layerCount);
+      let k = 0;
+
+      // 中心已排序，按中点分配即可
+      for (const bin of bins) {
+        while (k < layerCount - 1 && bin.value > (centers[k] + centers[k + 1]) / 2) {
+          k++;
+        }
+        sums[k] += bin.count * bin.value;
+        weights[k] += bin.count;
+      }
+
+      let moved = false;
+      const nextCenters = centers.map((center, index) => {
+        const updated = weights[index] > 0 ? sums[index] / weights[index] : center;
+        if (Math.abs(updated - center) > 1e-6) moved = true;
+        return updated;
+      });
+      centers = nextCenters.sort((a, b) => a - b);
+      if (!moved) break;
+    }
+
+    const breakpoints = [0];
+    for (let k = 0; k < layerCount - 1; k++) {
+      breakpoints.push((centers[k] + centers[k + 1]) / 2);
+    }
+    breakpoints.push(this.maxDepth);
+    return breakpoints;
+  }
+
+  /**
+   * 获取非空直方图区间
+   * @param {Object} histogram 直方图
+   * @returns {Array<{start: number, value: number, count: number}>} 非空区间
+   */
+  getNonEmptyBins(histogram) {
+    const { counts, binSize } = histogram;
+    const bins = [];
+    for (let i = 0; i < counts.length; i++) {
+      if (counts[i] > 0) {
+        bins.push({ start: i * binSize, value: (i + 0.5) * binSize, count: counts[i] });
+      }
+    }
+    return bins;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DepthAnalyzer;
+} else {
+  window.DepthAnalyzer = DepthAnalyzer;
+}
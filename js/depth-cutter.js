@@ -4,29 +4,147 @@
  */
 
 class BrowserDepthCutter {
-  constructor(layerCount = 8, depthOverlap = 1, borderWidth = 0) {
+  constructor(layerCount = 8, depthOverlap = 1, borderWidth = 0, options = {}) {
+    // Worker池（可选），Worker中按相同参数重建切分器
+    this.workerPool = options.workerPool || null;
+    this.workerConfig = { layerCount, depthOverlap, borderWidth, options: { ...options, workerPool: null, inputCache: null } };
+    // 已解码输入缓存 { key, originalPixels, depthField }（可选），输入与预处理参数不变时重新切分直接复用
+    this.inputCache = options.inputCache || null;
     this.layerCount = layerCount;
     this.depthOverlap = depthOverlap;
     this.borderWidth = borderWidth;
-    this.depthRanges = this.generateDepthRanges(layerCount, depthOverlap);
+    this.rangeStrategy = options.rangeStrategy || 'equal'; // equal/quantile/otsu/kmeans/custom
+    this.remap = options.remap || null; // 深度重映射参数
+    this.upsampleMethod = options.upsampleMethod || 'bilinear'; // 深度图放大方式：bilinear/nearest/guided
+    this.denoise = options.denoise || null; // 深度降噪参数
+    this.superpixels = options.superpixels || null; // 超像素对齐参数 { enabled, regionSize, compactness }
+    this.edgeOptions = {
+      edgeMode: options.edgeMode || 'hard', // hard/soft
+      featherDepth: options.featherDepth !== undefined ? options.featherDepth : 1, // 深度单位
+      featherPixels: options.featherPixels || 0 // 像素
+    };
+    this.outlineOptions = {
+      outlineWidth: options.outlineWidth || 0, // 轮廓描边宽度（像素），0为不描边
+      outlineColor: options.outlineColor || '#ffffff',
+      outlinePosition: options.outlinePosition || 'outside', // outside/inside/center
+      outlineShadow: options.outlineShadow || false, // 是否添加投影
+      shadowDistance: options.shadowDistance || 4 // 投影偏移与模糊（像素）
+    };
+    this.glueMargin = options.glueMargin || 0; // 粘合边外扩距离，0为不处理
+    this.glueUnit = options.glueUnit || 'px'; // 粘合边单位：px/mm
+    this.glueShape = options.glueShape || 'circle'; // 粘合边结构元素：circle/square
+    this.glueFartherOnly = options.glueFartherOnly || false; // 只向更远的相邻区域外扩
+    this.minIslandArea = options.minIslandArea || 0; // 小于该面积（像素）的孤岛被移除，0为不处理
+    this.minHoleArea = options.minHoleArea || 0; // 小于该面积（像素）的孔洞被填充，0为不处理
+    this.inpaint = options.inpaint || false; // 是否补全被前景遮挡的背景
+    this.paper = options.paper || null; // 纸张模式参数 { mode, colorCount, catalog, picks }
+    this.bridges = options.bridges || false; // 是否生成连接桥
+    this.bridgeWidth = options.bridgeWidth || 4; // 连接桥宽度（像素）
+    this.frameColor = '#000000'; // 边框与连接桥颜色
+    this.physicalWidthMm = options.physicalWidthMm || 0; // 原图对应的物理宽度（毫米），0为未设置
+    this.dpi = options.dpi || 300; // 目标DPI，未设置物理宽度时用于毫米换算
+    this.minFeatureMm = options.minFeatureMm || 0; // 最小特征宽度（毫米），0为不处理
+    this.includeSvg = options.includeSvg || false; // ZIP中是否包含SVG切割路径
+    this.dxfLayout = options.dxfLayout || 'sheet'; // DXF排版：sheet(同一图纸并排)/separate(每层一个文件)
+    this.includeStencils = options.includeStencils || false; // ZIP中是否包含每层黑白模板
+    this.includeLabelMap = options.includeLabelMap || false; // ZIP中是否包含层级标签图
+    this.stencilPattern = options.stencilPattern || 'stencil_{index}.png'; // 模板文件名，{index}为4位序号，{layer}为层级编号
+    this.labelMapFilename = options.labelMapFilename || 'labels.png'; // 标签图文件名
+    this.proxySize = options.proxySize || 0; // 预览代理分辨率（长边像素），0为全分辨率
+    this.renderScale = 1; // 处理分辨率相对原图的比例，代理预览时小于1
+    this.tileHeight = options.tileHeight || 0; // 分块处理的条带高度（行），0为整图处理
+    this.maxTiledDepthSize = 4096; // 分块处理时深度场的最大长边像素
+    this.textureSize = 1024; // 分块处理时预览纹理的最大长边像素
+    this.sourceWidth = 0;
+    this.depthAnalyzer = new DepthAnalyzer();
+    this.depthRemapper = new DepthRemapper();
+    this.depthFilter = new DepthFilter();
+    this.superpixelSegmenter = new SuperpixelSegmenter();
+    this.inpainter = new BrowserInpainter();
+    this.paperPalette = new PaperPalette();
+    
+    if (options.customRanges && options.customRanges.length > 0) {
+      // 使用手动调整的深度范围代替自动生成
+      this.depthRanges = this.validateCustomRanges(options.customRanges);
+      this.layerCount = this.depthRanges.length;
+      this.rangeStrategy = 'custom';
+    } else {
+      this.depthRanges = this.generateDepthRanges(layerCount, depthOverlap);
+    }
     this.imageProcessor = new BrowserImageProcessor();
+    this.depthDecoder = new DepthMapDecoder();
+    this.maskProcessor = new BrowserMaskProcessor();
+    this.vectorExporter = new VectorExporter();
     this.results = [];
+    
+    if (this.tileHeight > 0) {
+      this.disableUntiledOptions();
+    }
   }
 
   /**
    * 动态生成深度范围数组
    * @param {number} layerCount 层级数量
    * @param {number} depthOverlap 深度冗余
+   * @param {string} strategy 分层策略：equal(等宽)/quantile(等像素)/otsu(多级Otsu)/kmeans(K-means)
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场，非等宽策略需要
+   * @returns {Array<{min: number, max: number}>} 深度范围数组
+   */
+  generateDepthRanges(layerCount, depthOverlap = 1, strategy = 'equal', depthField = null) {
+    const histogram = strategy !== 'equal' && depthField ?
+      this.depthAnalyzer.computeHistogram(depthField) :
+      null;
+    return this.generateDepthRangesFromHistogram(layerCount, depthOverlap, strategy, histogram);
+  }
+
+  /**
+   * 根据深度直方图生成深度范围数组
+   * @param {number} layerCount 层级数量
+   * @param {number} depthOverlap 深度冗余
+   * @param {string} strategy 分层策略
+   * @param {Object} histogram DepthAnalyzer.computeHistogram 的结果，非等宽策略需要
    * @returns {Array<{min: number, max: number}>} 深度范围数组
    */
-  generateDepthRanges(layerCount, depthOverlap = 1) {
+  generateDepthRangesFromHistogram(layerCount, depthOverlap = 1, strategy = 'equal', histogram = null) {
+    let breakpoints = null;
+    
+    if (strategy !== 'equal' && histogram) {
+      if (strategy === 'quantile') {
+        breakpoints = this.depthAnalyzer.quantileBreakpoints(histogram, layerCount);
+      } else if (strategy === 'otsu') {
+        breakpoints = this.depthAnalyzer.otsuBreakpoints(histogram, layerCount);
+      } else if (strategy === 'kmeans') {
+        breakpoints = this.depthAnalyzer.kmeansBreakpoints(histogram, layerCount);
+      }
+      
+      if (!breakpoints) {
+        console.warn(`⚠️  深度值种类少于层级数量，分层策略 ${strategy} 回退为等宽`);
+      } else if (!this.depthAnalyzer.isStrictlyIncreasing(breakpoints)) {
+        console.warn(`⚠️  分层策略 ${strategy} 产生了零宽度的层级，回退为等宽`);
+        breakpoints = null;
+      }
+    }
+    
+    if (!breakpoints) {
+      breakpoints = this.depthAnalyzer.equalWidthBreakpoints(layerCount);
+    }
+    
+    return this.breakpointsToRanges(breakpoints, depthOverlap);
+  }
+
+  /**
+   * 将分界点转换为深度范围
+   * @param {number[]} breakpoints 分界点数组（长度为层级数量 + 1）
+   * @param {number} depthOverlap 深度冗余
+   * @returns {Array<{min: number, max: number}>} 深度范围数组
+   */
+  breakpointsToRanges(breakpoints, depthOverlap = 1) {
     const ranges = [];
-    const maxDepth = 100;
-    const stepSize = maxDepth / layerCount;
+    const layerCount = breakpoints.length - 1;
     
     for (let i = 0; i < layerCount; i++) {
-      let minDepth = Math.round(stepSize * i * 10) / 10;
-      let maxDepth = Math.round(stepSize * (i + 1) * 10) / 10;
+      let minDepth = breakpoints[i];
+      let maxDepth = breakpoints[i + 1];
       
       // 应用深度冗余 - 由底部向上冗余（只向最大值方向扩展）
       if (i < layerCount - 1) {
@@ -43,99 +161,922 @@ class BrowserDepthCutter {
     return ranges;
   }
 
+  /**
+   * 校验手动设置的深度范围
+   * @param {Array<{min: number, max: number}>} ranges 深度范围数组
+   * @returns {Array<{min: number, max: number}>} 校验后的深度范围副本
+   */
+  validateCustomRanges(ranges) {
+    return ranges.map((range, index) => {
+      const min = Number(range.min);
+      const max = Number(range.max);
+      if (isNaN(min) || isNaN(max) || min < 0 || max > 100 || min >= max) {
+        throw new Error(`层级 ${index + 1} 的深度范围无效: ${range.min}~${range.max}`);
+      }
+      return { min, max };
+    });
+  }
+
   /**
    * 处理图像切分
+   * 支持时在Worker池中执行（界面保持响应），否则在主线程执行
    * @param {File} imageFile 原始图片文件
    * @param {string|File} depthSource 深度图源（Data URL或文件）
    * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号，取消时终止处理并丢弃已生成的层级
    * @returns {Promise<Array>} 切分结果数组
    */
-  async process(imageFile, depthSource, onProgress = null) {
+  async process(imageFile, depthSource, onProgress = null, signal = null) {
     console.log('🚀 开始深度切分处理...');
     console.log(`层级数量: ${this.layerCount}`);
-    console.log(`深度范围: [${this.depthRanges.map(r => `${r.min}~${r.max}`).join(', ')}]`);
+    console.log(`分层策略: ${this.rangeStrategy}`);
     
     try {
-      // 步骤1: 加载图像
-      if (onProgress) onProgress(10, '加载图像...');
-      const originalImg = await this.imageProcessor.loadImageFromFile(imageFile);
+      const timings = {};
+      let stageStart = performance.now();
+      const processStart = stageStart;
+      const endStage = (name) => {
+        const now = performance.now();
+        timings[name] = now - stageStart;
+        stageStart = now;
+      };
       
-      let depthImg;
-      if (typeof depthSource === 'string') {
-        // Data URL
-        depthImg = await this.imageProcessor.loadImageFromDataUrl(depthSource);
-      } else {
-        // File对象
-        depthImg = await this.imageProcessor.loadImageFromFile(depthSource);
+      const workerPool = this.workerPool;
+      if (workerPool) {
+        console.log(`使用 ${workerPool.size} 个Worker处理`);
       }
       
-      // 显示图像信息
-      this.imageProcessor.showImageInfo(originalImg, depthImg);
-      
-      // 步骤2: 调整深度图尺寸
-      if (onProgress) onProgress(20, '调整图像尺寸...');
-      const adjustedDepthCanvas = this.imageProcessor.autoAdjustDepthImage(originalImg, depthImg);
+      // 分块处理：逐条带渲染并流式编码，不持有整幅图像的像素与层级Canvas
+      if (this.tileHeight > 0) {
+        const tiled = workerPool ?
+          await workerPool.renderTiled(this.workerConfig, imageFile, depthSource, onProgress, signal) :
+          await this.renderTiled(imageFile, depthSource, onProgress, signal);
+        this.throwIfAborted(signal);
+        this.depthRanges = tiled.depthRanges;
+        this.sourceWidth = tiled.sourceWidth;
+        this.results = tiled.layers.map((layer, index) => this.createResult(index, layer));
+        endStage('分块处理');
+        
+        if (onProgress) onProgress(100, '处理完成！');
+        console.log(`⏱️ 分块处理: ${tiled.layers.length} 层，${Math.round(timings['分块处理'])}ms`);
+        console.log(`✅ 深度切分完成，生成 ${this.results.length} 个层级文件`);
+        return this.results;
+      }
       
-      // 步骤3: 转换深度数据
-      if (onProgress) onProgress(30, '转换深度数据...');
-      const depthData = this.imageProcessor.convertDepthImageToData(adjustedDepthCanvas);
+      // 步骤1-3: 加载图像与深度图，转换、重映射、降噪并计算层级分界（命中缓存时跳过解码与预处理）
+      const inputKey = this.getInputKey(imageFile, depthSource);
+      const cache = this.inputCache;
+      let prepared;
+      if (cache && cache.key === inputKey) {
+        if (onProgress) onProgress(30, '使用已缓存的输入...');
+        prepared = { originalPixels: cache.originalPixels, depthField: cache.depthField, renderScale: cache.renderScale };
+        this.updateDepthRanges(prepared.depthField);
+      } else if (workerPool) {
+        prepared = await workerPool.prepare(this.workerConfig, imageFile, depthSource, onProgress, signal);
+        this.depthRanges = prepared.depthRanges;
+      } else {
+        prepared = await this.prepare(imageFile, depthSource, onProgress);
+      }
+      this.throwIfAborted(signal);
+      if (cache && cache.key !== inputKey) {
+        cache.key = inputKey;
+        cache.originalPixels = prepared.originalPixels;
+        cache.depthField = prepared.depthField;
+        cache.renderScale = prepared.renderScale;
+      }
+      const { originalPixels, depthField, renderScale } = prepared;
+      this.applyRenderScale(renderScale);
+      if (renderScale < 1) {
+        console.log(`🔍 预览代理: ${originalPixels.width}×${originalPixels.height}（原图的 ${Math.round(renderScale * 100)}%）`);
+      }
+      console.log(`深度范围: [${this.depthRanges.map(r => `${r.min}~${r.max}`).join(', ')}]`);
+      endStage('加载与预处理');
       
       // 步骤4: 处理每个层级
-      this.results = [];
+      const { width, height } = originalPixels;
+      this.sourceWidth = width;
       const totalLayers = this.depthRanges.length;
+      const indices = this.depthRanges.map((range, index) => index);
+      this.results = new Array(totalLayers);
       
-      for (let i = 0; i < totalLayers; i++) {
-        const range = this.depthRanges[i];
-        const progress = 30 + ((i + 1) / totalLayers) * 60;
-        
+      // 各层级进度按子步骤汇总，多个Worker并行时进度仍然连续
+      const layerProgress = new Float32Array(totalLayers);
+      let progressSum = 0;
+      const onStep = (index, fraction, message) => {
+        progressSum += fraction - layerProgress[index];
+        layerProgress[index] = fraction;
         if (onProgress) {
-          onProgress(progress, `处理层级 ${i + 1}/${totalLayers} (深度 ${range.min}~${range.max})...`);
-        }
-        
-        // 按深度范围切分
-        console.log(`层级 ${i + 1}: 深度 ${range.min}~${range.max}`);
-        let resultCanvas = this.imageProcessor.cutByDepthRange(originalImg, depthData, range.min, range.max);
-        
-        // 添加边框（如果设置了边框宽度）
-        if (this.borderWidth > 0) {
-          console.log(`添加 ${this.borderWidth}px 边框到层级 ${i + 1}`);
-          resultCanvas = this.imageProcessor.addBorder(resultCanvas, this.borderWidth);
+          onProgress(30 + (progressSum / totalLayers) * 60, `层级 ${index + 1}/${totalLayers}: ${message}`);
         }
-        
-        // 生成文件名 - 使用简单的数字序列格式
-        const filename = `${String(i).padStart(4, '0')}.png`;
-        
-        // 转换为Data URL和Blob
-        const dataUrl = this.imageProcessor.canvasToDataUrl(resultCanvas);
-        const blob = await this.imageProcessor.canvasToBlob(resultCanvas);
-        
-        // 创建预览
-        const preview = this.imageProcessor.createPreview(resultCanvas, 150, 150);
-        const previewDataUrl = this.imageProcessor.canvasToDataUrl(preview);
-        
-        this.results.push({
-          layer: i + 1,
-          depthRange: `${range.min}~${range.max}`,
-          filename,
-          canvas: resultCanvas,
-          dataUrl,
-          blob,
-          previewDataUrl,
-          size: blob.size
-        });
+      };
+      const onLayer = (index, layer) => {
+        this.results[index] = this.createResult(index, layer);
+      };
+      
+      if (workerPool) {
+        // 未缓存时像素与深度缓冲区会转移给Worker，之后不可再使用
+        const inputs = { key: cache ? inputKey : null, originalPixels, depthField, renderScale };
+        await workerPool.render(this.workerConfig, this.depthRanges, inputs, indices, onStep, onLayer, signal);
+      } else {
+        await this.renderLayers(originalPixels, depthField, indices, onStep, onLayer, signal);
       }
+      this.throwIfAborted(signal);
+      endStage('层级输出');
       
       if (onProgress) onProgress(100, '处理完成！');
       
+      const totalTime = performance.now() - processStart;
+      const megapixels = (width * height) / 1e6;
+      console.log(`⏱️ 耗时: ${Object.entries(timings).map(([name, ms]) => `${name} ${Math.round(ms)}ms`).join(' · ')} · 总计 ${Math.round(totalTime)}ms`);
+      console.log(`⏱️ 层级输出: ${megapixels.toFixed(1)}MP × ${totalLayers} 层，${(megapixels * totalLayers / (timings['层级输出'] / 1000)).toFixed(1)} MP层/秒`);
       console.log(`✅ 深度切分完成，生成 ${this.results.length} 个层级文件`);
       return this.results;
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ 深度切分已取消');
+        this.cleanup();
+        throw error;
+      }
       console.error('❌ 深度切分失败:', error);
       throw new Error(`深度切分失败: ${error.message}`);
     }
   }
 
+  /**
+   * 已取消时抛出 AbortError
+   * @param {AbortSignal} signal 取消信号
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new DOMException('处理已取消', 'AbortError');
+    }
+  }
+
+  /**
+   * 加载并预处理输入：解码原图与深度图，执行重映射、降噪、超像素对齐并计算层级分界
+   * 可在Worker中执行
+   * @param {File} imageFile 原始图片文件
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {Function} onProgress 进度回调
+   * @returns {Promise<{originalPixels: ImageData, depthField: {width: number, height: number, data: Float32Array}, renderScale: number}>} 原图像素、深度场与处理分辨率比例
+   */
+  async prepare(imageFile, depthSource, onProgress = null) {
+    if (onProgress) onProgress(10, '加载图像...');
+    let originalImg = await this.imageProcessor.loadImageFromFile(imageFile);
+    
+    // 预览代理：按长边缩小原图，深度图随之缩放到相同尺寸
+    const longEdge = Math.max(originalImg.width, originalImg.height);
+    if (this.proxySize > 0 && longEdge > this.proxySize) {
+      const scale = this.proxySize / longEdge;
+      const proxyImg = this.imageProcessor.resizeImage(
+        originalImg, Math.max(1, Math.round(originalImg.width * scale)), Math.max(1, Math.round(originalImg.height * scale))
+      );
+      if (typeof originalImg.close === 'function') {
+        originalImg.close();
+      }
+      originalImg = proxyImg;
+      this.applyRenderScale(scale);
+    }
+    
+    const depthField = await this.loadDepthData(originalImg, depthSource, onProgress);
+    
+    // 深度重映射（反转、色阶、Gamma、色调曲线）
+    if (!this.depthRemapper.isIdentity(this.remap)) {
+      if (onProgress) onProgress(30, '深度重映射...');
+      const rawHistogram = this.remap.autoNormalize ? this.depthAnalyzer.computeHistogram(depthField) : null;
+      this.depthRemapper.apply(depthField, this.remap, rawHistogram);
+    }
+    
+    // 深度降噪（中值、双边、保边平滑）
+    if (this.depthFilter.isActive(this.denoise)) {
+      if (onProgress) onProgress(30, '深度降噪...');
+      this.depthFilter.apply(depthField, this.denoise);
+    }
+    
+    // 原图只解码一次，超像素对齐与各层级共用
+    const originalPixels = this.imageProcessor.getImageData(originalImg);
+    if (typeof originalImg.close === 'function') {
+      originalImg.close();
+    }
+    
+    // 超像素对齐：每个超像素取中值深度，使层级边缘沿原图物体边缘
+    if (this.superpixels && this.superpixels.enabled) {
+      if (onProgress) onProgress(30, '超像素对齐...');
+      const { labels, count } = this.superpixelSegmenter.segment(originalPixels, this.superpixels);
+      this.superpixelSegmenter.snapDepth(depthField, labels, count);
+    }
+    
+    this.updateDepthRanges(depthField);
+    
+    this.sourceWidth = originalPixels.width;
+    return { originalPixels, depthField, renderScale: this.renderScale };
+  }
+
+  /**
+   * 按处理分辨率缩放以像素为单位的参数，使代理预览与全分辨率结果外观一致
+   * 毫米单位的参数通过缩放DPI保持不变；比例相同时不重复缩放
+   * @param {number} scale 处理分辨率相对原图的比例
+   */
+  applyRenderScale(scale) {
+    if (!scale || scale === this.renderScale) return;
+    const ratio = scale / this.renderScale;
+    const toPixels = (value) => value > 0 ? Math.max(1, Math.round(value * ratio)) : value;
+    
+    this.renderScale = scale;
+    this.borderWidth = toPixels(this.borderWidth);
+    this.bridgeWidth = toPixels(this.bridgeWidth);
+    this.edgeOptions.featherPixels *= ratio;
+    this.outlineOptions.outlineWidth *= ratio;
+    this.outlineOptions.shadowDistance *= ratio;
+    if (this.glueUnit === 'px') {
+      this.glueMargin *= ratio;
+    }
+    this.minIslandArea = Math.round(this.minIslandArea * ratio * ratio);
+    this.minHoleArea = Math.round(this.minHoleArea * ratio * ratio);
+    this.dpi *= ratio;
+    if (this.denoise) {
+      this.denoise = { ...this.denoise, radius: this.denoise.radius * ratio };
+    }
+    if (this.superpixels) {
+      this.superpixels = { ...this.superpixels, regionSize: this.superpixels.regionSize * ratio };
+    }
+  }
+
+  /**
+   * 按深度分布重新计算层级分界（等宽与手动调整策略保持不变）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场
+   */
+  updateDepthRanges(depthField) {
+    if (this.rangeStrategy !== 'equal' && this.rangeStrategy !== 'custom') {
+      this.depthRanges = this.generateDepthRanges(this.layerCount, this.depthOverlap, this.rangeStrategy, depthField);
+    }
+  }
+
+  /**
+   * 生成输入缓存键：输入文件与影响预处理的参数（代理分辨率、放大方式、重映射、降噪、超像素）
+   * @param {File} imageFile 原始图片文件
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @returns {string} 缓存键
+   */
+  getInputKey(imageFile, depthSource) {
+    const describe = (source) => typeof source === 'string' ?
+      `${source.length}:${source.slice(-64)}` :
+      `${source.name}:${source.size}:${source.lastModified}`;
+    return JSON.stringify([describe(imageFile), describe(depthSource), this.proxySize, this.upsampleMethod, this.remap, this.denoise, this.superpixels]);
+  }
+
+  /**
+   * 渲染指定层级：单次扫描生成蒙版，逐层切分、加边框并编码PNG
+   * 可在Worker中执行
+   * @param {ImageData} originalPixels 原图像素
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场
+   * @param {Array<number>} indices 层级索引
+   * @param {Function} onStep 子步骤回调 (index, fraction, message)
+   * @param {Function} onLayer 层级完成回调 (index, layer)，layer 包含 blob、previewBlob、stencilBlob（按导出设置）与 stats
+   * @param {AbortSignal} signal 取消信号，在层级之间检查
+   */
+  async renderLayers(originalPixels, depthField, indices, onStep, onLayer, signal = null) {
+    const membershipStart = performance.now();
+    const membership = this.imageProcessor.createLayerMembership(depthField, indices.map(index => this.depthRanges[index]), this.edgeOptions);
+    const membershipTime = performance.now() - membershipStart;
+    const megapixels = (depthField.width * depthField.height) / 1e6;
+    console.log(`⏱️ 层级归属表单次扫描: ${megapixels.toFixed(1)}MP × ${indices.length} 层，${Math.round(membershipTime)}ms`);
+    
+    for (let k = 0; k < indices.length; k++) {
+      this.throwIfAborted(signal);
+      const index = indices[k];
+      // 蒙版逐层生成，编码完成后随本轮循环释放
+      const mask = this.imageProcessor.createLayerMask(membership, k);
+      
+      // 模板与标签图按层级蒙版生成，不含粘合边、描边、投影与连接桥
+      const stencilBlob = this.includeStencils || this.includeLabelMap ?
+        await this.imageProcessor.canvasToBlob(this.createStencilCanvas(mask, originalPixels.width, originalPixels.height)) :
+        null;
+      
+      const layer = this.renderLayer(index, mask, originalPixels, depthField, (fraction, message) => onStep(index, fraction, message));
+      let { canvas, previewCanvas } = layer;
+      
+      // 添加边框（如果设置了边框宽度）
+      if (this.borderWidth > 0) {
+        console.log(`添加 ${this.borderWidth}px 边框到层级 ${index + 1}`);
+        const framed = this.imageProcessor.addBorder(canvas, this.borderWidth, this.frameColor);
+        previewCanvas = previewCanvas === canvas ?
+          framed :
+          this.imageProcessor.addBorder(previewCanvas, this.borderWidth, this.frameColor);
+        canvas = framed;
+      }
+      
+      onStep(index, 0.9, '编码PNG...');
+      const blob = await this.imageProcessor.canvasToBlob(canvas);
+      const preview = this.imageProcessor.createPreview(previewCanvas, 150, 150);
+      const previewBlob = await this.imageProcessor.canvasToBlob(preview);
+      onStep(index, 1, '完成');
+      
+      await onLayer(index, { blob, previewBlob, stencilBlob, stats: layer.stats });
+    }
+  }
+
+  /**
+   * 分块处理不支持需要整幅图像的运算，关闭相应选项
+   */
+  disableUntiledOptions() {
+    const ignored = [];
+    if (this.minIslandArea > 0 || this.minHoleArea > 0) {
+      ignored.push('碎片清理');
+      this.minIslandArea = 0;
+      this.minHoleArea = 0;
+    }
+    if (this.bridges) {
+      ignored.push('连接桥');
+      this.bridges = false;
+    }
+    if (this.inpaint) {
+      ignored.push('背景补全');
+      this.inpaint = false;
+    }
+    if (this.isPaperMode()) {
+      ignored.push('纸张模式');
+      this.paper = null;
+    }
+    if (this.superpixels && this.superpixels.enabled) {
+      ignored.push('超像素对齐');
+      this.superpixels = null;
+    }
+    if (this.upsampleMethod === 'guided') {
+      ignored.push('边缘感知放大');
+      this.upsampleMethod = 'bilinear';
+    }
+    if (this.includeSvg || this.includeStencils || this.includeLabelMap) {
+      ignored.push('SVG与蒙版导出');
+      this.includeSvg = false;
+      this.includeStencils = false;
+      this.includeLabelMap = false;
+    }
+    if (ignored.length > 0) {
+      console.warn(`⚠️  分块处理不支持: ${ignored.join('、')}，已忽略`);
+    }
+  }
+
+  /**
+   * 计算条带上下需要额外读取的行数，使粘合边、细丝、羽化、描边与投影在条带接缝处与整图处理一致
+   * @returns {number} 行数
+   */
+  getTileHalo() {
+    const shadow = this.outlineOptions.outlineShadow ? this.outlineOptions.shadowDistance * 3 : 0;
+    return Math.ceil(
+      this.getGlueRadius() +
+      this.getMinFeatureRadius() * 2 +
+      this.edgeOptions.featherPixels +
+      this.outlineOptions.outlineWidth +
+      shadow
+    ) + 2;
+  }
+
+  /**
+   * 加载分块处理用的深度场：保持深度图自身分辨率（长边不超过 maxTiledDepthSize），逐条放大到原图尺寸
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {number} width 原图宽度
+   * @returns {Promise<{width: number, height: number, data: Float32Array}>} 深度场 (0-100)
+   */
+  async loadTiledDepthField(depthSource, width) {
+    const limit = (w, h) => {
+      const scale = Math.min(1, this.maxTiledDepthSize / Math.max(w, h));
+      return [Math.max(1, Math.round(w * scale)), Math.max(1, Math.round(h * scale))];
+    };
+    
+    let depthField;
+    if (await this.depthDecoder.isHighPrecisionFile(depthSource)) {
+      const field = await this.depthDecoder.decode(depthSource);
+      const [w, h] = limit(field.width, field.height);
+      depthField = w === field.width ? field : this.imageProcessor.resizeDepthField(field, w, h);
+    } else {
+      let depthImg = typeof depthSource === 'string' ?
+        await this.imageProcessor.loadImageFromDataUrl(depthSource) :
+        await this.imageProcessor.loadImageFromFile(depthSource);
+      const [w, h] = limit(depthImg.width, depthImg.height);
+      if (w !== depthImg.width) {
+        const resized = this.imageProcessor.resizeImage(depthImg, w, h);
+        if (typeof depthImg.close === 'function') {
+          depthImg.close();
+        }
+        depthImg = resized;
+      }
+      depthField = this.imageProcessor.convertDepthImageToField(depthImg);
+      if (typeof depthImg.close === 'function') {
+        depthImg.close();
+      }
+    }
+    
+    if (!this.depthRemapper.isIdentity(this.remap)) {
+      const rawHistogram = this.remap.autoNormalize ? this.depthAnalyzer.computeHistogram(depthField) : null;
+      this.depthRemapper.apply(depthField, this.remap, rawHistogram);
+    }
+    if (this.depthFilter.isActive(this.denoise)) {
+      // 降噪半径按原图像素设置，换算到深度场分辨率
+      this.depthFilter.apply(depthField, { ...this.denoise, radius: this.denoise.radius * depthField.width / width });
+    }
+    this.updateDepthRanges(depthField);
+    return depthField;
+  }
+
+  /**
+   * 生成带边框列的PNG行像素
+   * @param {Uint8ClampedArray|null} rows 层级行像素（宽度为 width），为空时整行填充边框色
+   * @param {number} width 层级宽度
+   * @param {number} rowCount 行数
+   * @param {{r: number, g: number, b: number}} frameRgb 边框颜色
+   * @returns {Uint8ClampedArray} 行像素（宽度为 width + 2 × 边框宽度）
+   */
+  createFramedRows(rows, width, rowCount, frameRgb) {
+    const border = this.borderWidth;
+    if (rows && border === 0) return rows;
+    
+    const outWidth = width + border * 2;
+    const framed = new Uint8ClampedArray(outWidth * rowCount * 4);
+    for (let i = 0; i < framed.length; i += 4) {
+      framed[i] = frameRgb.r;
+      framed[i + 1] = frameRgb.g;
+      framed[i + 2] = frameRgb.b;
+      framed[i + 3] = 255;
+    }
+    if (rows) {
+      for (let y = 0; y < rowCount; y++) {
+        framed.set(rows.subarray(y * width * 4, (y + 1) * width * 4), (y * outWidth + border) * 4);
+      }
+    }
+    return framed;
+  }
+
+  /**
+   * 分块处理：按条带读取原图与深度，逐条渲染各层级并流式编码PNG，内存中只保留一个条带的像素
+   * 可在Worker中执行
+   * @param {File} imageFile 原始图片文件
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号，在条带之间检查
+   * @returns {Promise<{layers: Array, depthRanges: Array, sourceWidth: number}>} 各层级 { blob, previewBlob, textureBlob, stats }、深度范围与原图宽度
+   */
+  async renderTiled(imageFile, depthSource, onProgress = null, signal = null) {
+    if (!PngStreamEncoder.isSupported()) {
+      throw new Error('当前浏览器不支持分块处理（需要 CompressionStream）');
+    }
+    
+    if (onProgress) onProgress(10, '加载图像...');
+    const originalImg = await this.imageProcessor.loadImageFromFile(imageFile);
+    const { width, height } = originalImg;
+    this.sourceWidth = width;
+    
+    if (onProgress) onProgress(20, '加载深度图...');
+    const depthField = await this.loadTiledDepthField(depthSource, width);
+    this.throwIfAborted(signal);
+    
+    const border = this.borderWidth;
+    const frameRgb = this.paperPalette.hexToRgb(this.frameColor);
+    const textureScale = Math.min(1, this.textureSize / Math.max(width, height));
+    const textureWidth = Math.max(1, Math.round(width * textureScale));
+    const textureHeight = Math.max(1, Math.round(height * textureScale));
+    const halo = this.getTileHalo();
+    const stripCount = Math.ceil(height / this.tileHeight);
+    console.log(`🧩 分块处理: ${width}×${height}，${stripCount} 个条带（${this.tileHeight} 行，上下各读取 ${halo} 行）`);
+    
+    const layers = this.depthRanges.map(() => ({
+      encoder: new PngStreamEncoder(width + border * 2, height + border * 2),
+      texture: this.imageProcessor.createCanvas(textureWidth, textureHeight),
+      stats: { thinPixelsRemoved: 0, gluePixelsAdded: 0 }
+    }));
+    
+    try {
+      if (border > 0) {
+        const frameRows = this.createFramedRows(null, width, border, frameRgb);
+        for (const layer of layers) {
+          await layer.encoder.writeRows(frameRows, border);
+        }
+      }
+      
+      for (let s = 0; s < stripCount; s++) {
+        this.throwIfAborted(signal);
+        const startRow = s * this.tileHeight;
+        const endRow = Math.min(height, startRow + this.tileHeight);
+        const top = Math.max(0, startRow - halo);
+        const bottom = Math.min(height, endRow + halo);
+        const coreRows = endRow - startRow;
+        
+        // 条带（含上下重叠行）的原图像素与深度
+        const stripCanvas = this.imageProcessor.createCanvas(width, bottom - top);
+        const stripCtx = stripCanvas.getContext('2d');
+        stripCtx.drawImage(originalImg, 0, -top);
+        const stripPixels = stripCtx.getImageData(0, 0, width, bottom - top);
+        const stripDepth = this.imageProcessor.sampleDepthRows(depthField, width, height, top, bottom, this.upsampleMethod);
+        const membership = this.imageProcessor.createLayerMembership(stripDepth, this.depthRanges, this.edgeOptions);
+        
+        for (let i = 0; i < layers.length; i++) {
+          const mask = this.imageProcessor.createLayerMask(membership, i);
+          const { canvas, stats } = this.renderLayer(i, mask, stripPixels, stripDepth);
+          layers[i].stats.thinPixelsRemoved += stats.thinPixelsRemoved;
+          layers[i].stats.gluePixelsAdded += stats.gluePixelsAdded;
+          
+          // 只输出条带本身的行，重叠行由相邻条带负责
+          const rows = canvas.getContext('2d').getImageData(0, startRow - top, width, coreRows).data;
+          await layers[i].encoder.writeRows(this.createFramedRows(rows, width, coreRows, frameRgb), coreRows);
+          layers[i].texture.getContext('2d').drawImage(
+            canvas, 0, startRow - top, width, coreRows,
+            0, startRow * textureScale, textureWidth, coreRows * textureScale
+          );
+        }
+        
+        if (onProgress) onProgress(30 + ((s + 1) / stripCount) * 60, `条带 ${s + 1}/${stripCount}`);
+      }
+      
+      if (border > 0) {
+        const frameRows = this.createFramedRows(null, width, border, frameRgb);
+        for (const layer of layers) {
+          await layer.encoder.writeRows(frameRows, border);
+        }
+      }
+    } catch (error) {
+      layers.forEach(layer => layer.encoder.abort());
+      throw error;
+    } finally {
+      if (typeof originalImg.close === 'function') {
+        originalImg.close();
+      }
+    }
+    
+    // 完成编码，缩小的纹理用于列表预览与3D预览
+    if (onProgress) onProgress(90, '编码PNG...');
+    const results = [];
+    for (let i = 0; i < layers.length; i++) {
+      let texture = layers[i].texture;
+      if (border > 0) {
+        texture = this.imageProcessor.addBorder(texture, Math.max(1, Math.round(border * textureScale)), this.frameColor);
+      }
+      const preview = this.imageProcessor.createPreview(texture, 150, 150);
+      results.push({
+        blob: await layers[i].encoder.finish(),
+        previewBlob: await this.imageProcessor.canvasToBlob(preview),
+        textureBlob: await this.imageProcessor.canvasToBlob(texture),
+        stats: layers[i].stats
+      });
+      layers[i] = null;
+    }
+    
+    return { layers: results, depthRanges: this.depthRanges, sourceWidth: width };
+  }
+
+  /**
+   * 按蒙版生成单个层级图像（粘合边、细丝、清理、连接桥、羽化、补全、纸张模式与描边，不含边框）
+   * @param {number} index 层级索引
+   * @param {Uint8ClampedArray} mask 层级蒙版
+   * @param {ImageData} originalPixels 原图像素
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场
+   * @param {Function} onStep 子步骤回调 (fraction, message)
+   * @returns {{canvas: HTMLCanvasElement, previewCanvas: HTMLCanvasElement, stats: Object}} 层级图像、预览图像与统计
+   */
+  renderLayer(index, mask, originalPixels, depthField, onStep = () => {}) {
+    const range = this.depthRanges[index];
+    const { width, height } = originalPixels;
+    console.log(`层级 ${index + 1}: 深度 ${range.min}~${range.max}`);
+    
+    // 粘合边：空间外扩，叠放时压在相邻层级下方
+    onStep(0.1, '蒙版处理...');
+    const glue = this.imageProcessor.growDepthMask(mask, depthField, range.min, {
+      glueRadius: this.getGlueRadius(),
+      glueShape: this.glueShape,
+      glueFartherOnly: this.glueFartherOnly
+    });
+    mask = glue.mask;
+    if (glue.added > 0) {
+      console.log(`层级 ${index + 1}: 粘合边外扩 ${glue.added} 个像素`);
+    }
+    
+    // 最小特征宽度：去除无法切割的细丝，填平过窄的缝隙
+    const thin = this.maskProcessor.enforceMinFeatureWidth(mask, width, height, this.getMinFeatureRadius());
+    mask = thin.mask;
+    if (thin.removed > 0 || thin.added > 0) {
+      console.log(`层级 ${index + 1}: 移除 ${thin.removed} 个细丝像素，填充 ${thin.added} 个缝隙像素`);
+    }
+    
+    // 连通域清理：移除孤岛、填充孔洞
+    const cleanup = this.cleanupMask(mask, width, height);
+    mask = cleanup.mask;
+    if (cleanup.islandsRemoved > 0 || cleanup.holesFilled > 0) {
+      console.log(`层级 ${index + 1}: 移除 ${cleanup.islandsRemoved} 个孤岛，填充 ${cleanup.holesFilled} 个孔洞`);
+    }
+    
+    // 连接桥：将悬空区域连接到边框或最近的区域（有边框时才连接边框）
+    let bridges = null;
+    if (this.bridges) {
+      bridges = this.maskProcessor.generateBridges(mask, width, height, {
+        bridgeWidth: this.bridgeWidth,
+        connectToFrame: this.borderWidth > 0
+      });
+      console.log(`层级 ${index + 1}: 生成 ${bridges.count} 个连接桥`);
+    }
+    
+    // 空间羽化
+    if (this.edgeOptions.featherPixels > 0) {
+      mask = this.maskProcessor.featherAlpha(mask, width, height, this.edgeOptions.featherPixels);
+    }
+    
+    onStep(0.4, '切分图像...');
+    let resultCanvas = this.imageProcessor.applyMaskToImageData(originalPixels, mask);
+    
+    // 背景补全：用本层像素扩散填充被更近物体遮挡的区域
+    let inpaintedPixels = 0;
+    if (this.inpaint) {
+      onStep(0.5, '背景补全...');
+      inpaintedPixels = this.inpaintOccluded(resultCanvas, depthField, range);
+      if (inpaintedPixels > 0) {
+        console.log(`层级 ${index + 1}: 补全 ${inpaintedPixels} 个被遮挡像素`);
+      }
+    }
+    
+    // 纸张模式：每层压缩为一种或少数几种纸张颜色
+    let paper = null;
+    if (this.isPaperMode()) {
+      onStep(0.6, '纸张色调分离...');
+      paper = this.posterizeLayer(resultCanvas, index);
+      if (paper) {
+        console.log(`层级 ${index + 1}: 纸张颜色 ${paper.colors.map(entry => entry.color).join(', ')}`);
+      }
+    }
+    
+    // 连接桥以边框颜色绘制为不透明像素
+    if (bridges && bridges.count > 0) {
+      this.imageProcessor.fillMask(resultCanvas, bridges.bridgeMask, this.frameColor);
+    }
+    
+    // 轮廓描边与投影，使叠放后各层轮廓清晰
+    onStep(0.7, '轮廓描边...');
+    this.imageProcessor.drawOutline(resultCanvas, this.outlineOptions);
+    if (this.outlineOptions.outlineShadow) {
+      resultCanvas = this.imageProcessor.addDropShadow(resultCanvas, this.outlineOptions.shadowDistance);
+    }
+    
+    // 预览中以红色标出被移除的细丝
+    let previewCanvas = resultCanvas;
+    if (thin.removed > 0) {
+      previewCanvas = this.imageProcessor.createCanvas(width, height);
+      previewCanvas.getContext('2d').drawImage(resultCanvas, 0, 0);
+      this.imageProcessor.fillMask(previewCanvas, thin.removedMask, '#ff0000');
+    }
+    
+    return {
+      canvas: resultCanvas,
+      previewCanvas,
+      stats: {
+        islandsRemoved: cleanup.islandsRemoved,
+        holesFilled: cleanup.holesFilled,
+        bridgeCount: bridges ? bridges.count : 0,
+        thinPixelsRemoved: thin.removed,
+        gluePixelsAdded: glue.added,
+        inpainted: inpaintedPixels > 0,
+        inpaintedPixels,
+        paperColors: paper ? paper.colors : null,
+        paperLabels: paper ? paper.labels : null
+      }
+    };
+  }
+
+  /**
+   * 由渲染好的层级生成结果对象：每层只保留编码后的PNG，缩略图通过对象URL显示（cleanup 时释放）
+   * 分块处理的层级另外保留缩小的纹理，用于3D预览
+   * @param {number} index 层级索引
+   * @param {Object} layer 层级数据 { blob, previewBlob, stencilBlob, textureBlob, stats }
+   * @returns {Object} 层级结果
+   */
+  createResult(index, layer) {
+    const range = this.depthRanges[index];
+    
+    return {
+      layer: index + 1,
+      depthRange: `${range.min}~${range.max}`,
+      // 生成文件名 - 使用简单的数字序列格式
+      filename: `${String(index).padStart(4, '0')}.png`,
+      blob: layer.blob,
+      textureBlob: layer.textureBlob || null,
+      stencilBlob: layer.stencilBlob || null,
+      tiled: Boolean(layer.textureBlob),
+      previewUrl: URL.createObjectURL(layer.previewBlob),
+      size: layer.blob.size,
+      ...layer.stats
+    };
+  }
+
+  /**
+   * 把层级PNG解码为Canvas（结果中不保留像素，需要时按需解码）
+   * @param {number} layerIndex 层级索引
+   * @returns {Promise<HTMLCanvasElement>} 层级图像（含边框）
+   */
+  async decodeLayer(layerIndex) {
+    const bitmap = await createImageBitmap(this.results[layerIndex].blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    return this.imageProcessor.bitmapToCanvas(bitmap);
+  }
+
+  /**
+   * 计算最小特征宽度对应的形态学半径
+   * @returns {number} 半径（像素），0 表示不处理
+   */
+  getMinFeatureRadius() {
+    if (this.minFeatureMm <= 0) return 0;
+    return this.minFeatureMm / this.getMillimetersPerPixel() / 2;
+  }
+
+  /**
+   * 计算粘合边外扩半径
+   * @returns {number} 半径（像素），0 表示不处理
+   */
+  getGlueRadius() {
+    if (this.glueMargin <= 0) return 0;
+    return this.glueUnit === 'mm' ? this.glueMargin / this.getMillimetersPerPixel() : this.glueMargin;
+  }
+
+  /**
+   * 补全层级中被更近物体遮挡的区域（原地修改Canvas）
+   * @param {HTMLCanvasElement} canvas 层级Canvas（未加边框）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场
+   * @param {{min: number, max: number}} range 层级深度范围
+   * @returns {number} 补全的像素数量
+   */
+  inpaintOccluded(canvas, depthField, range) {
+    if (range.max >= 100) return 0;
+    
+    const { width, height } = canvas;
+    const depth = depthField.data;
+    const fillMask = new Uint8Array(width * height);
+    let occluded = 0;
+    for (let i = 0; i < depth.length; i++) {
+      // 深度值越大越近
+      if (depth[i] >= range.max) {
+        fillMask[i] = 1;
+        occluded++;
+      }
+    }
+    if (occluded === 0) return 0;
+    
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const pixels = this.inpainter.inpaint(imageData, fillMask);
+    if (pixels > 0) {
+      ctx.putImageData(imageData, 0, 0);
+    }
+    return pixels;
+  }
+
+  /**
+   * 是否启用纸张模式
+   * @returns {boolean} 是否启用
+   */
+  isPaperMode() {
+    return !!this.paper && !!this.paper.mode && this.paper.mode !== 'off';
+  }
+
+  /**
+   * 纸张模式色调分离（原地修改Canvas）
+   * @param {HTMLCanvasElement} canvas 层级Canvas（未加边框）
+   * @param {number} layerIndex 层级索引
+   * @returns {{colors: Array<{name: string, color: string}>, labels: Uint8Array}|null} 层级颜色与像素编号
+   */
+  posterizeLayer(canvas, layerIndex) {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const picks = this.paper.picks || {};
+    const paper = this.paperPalette.apply(imageData, {
+      mode: this.paper.mode,
+      colorCount: this.paper.colorCount,
+      pickedColor: picks[layerIndex] || null,
+      catalog: this.paper.catalog || []
+    });
+    if (paper) {
+      ctx.putImageData(imageData, 0, 0);
+    }
+    return paper;
+  }
+
+  /**
+   * 更换层级中的一种纸张颜色，并重新生成导出数据与预览
+   * 只替换仍为原颜色的像素，描边与半透明边缘保持不变
+   * @param {number} layerIndex 层级索引
+   * @param {number} paletteIndex 颜色编号
+   * @param {string} color 新颜色（#rrggbb）
+   * @returns {Promise<Object>} 更新后的层级结果
+   */
+  async recolorLayer(layerIndex, paletteIndex, color) {
+    const result = this.results[layerIndex];
+    if (!result || !result.paperColors || !result.paperColors[paletteIndex]) {
+      throw new Error('无效的层级颜色');
+    }
+    
+    const previous = this.paperPalette.hexToRgb(result.paperColors[paletteIndex].color);
+    const next = this.paperPalette.hexToRgb(color);
+    const canvas = await this.decodeLayer(layerIndex);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+    const offset = this.borderWidth;
+    const width = canvas.width - offset * 2;
+    const height = canvas.height - offset * 2;
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (result.paperLabels[y * width + x] !== paletteIndex + 1) continue;
+        const i = ((y + offset) * canvas.width + x + offset) * 4;
+        if (data[i] !== previous.r || data[i + 1] !== previous.g || data[i + 2] !== previous.b) continue;
+        data[i] = next.r;
+        data[i + 1] = next.g;
+        data[i + 2] = next.b;
+      }
+    }
+    ctx.putImageData(imageData, 0, 0);
+    
+    result.paperColors[paletteIndex] = { name: '', color };
+    result.blob = await this.imageProcessor.canvasToBlob(canvas);
+    result.size = result.blob.size;
+    const previewBlob = await this.imageProcessor.canvasToBlob(this.imageProcessor.createPreview(canvas, 150, 150));
+    URL.revokeObjectURL(result.previewUrl);
+    result.previewUrl = URL.createObjectURL(previewBlob);
+    return result;
+  }
+
+  /**
+   * 生成纸张颜色清单（JSON）
+   * @param {Array<number>} layerIndices 层级索引数组
+   * @returns {string|null} JSON文本，未使用纸张模式时为 null
+   */
+  exportPalette(layerIndices) {
+    const layers = layerIndices
+      .map(index => this.results[index])
+      .filter(result => result && result.paperColors)
+      .map(result => ({
+        layer: result.layer,
+        filename: result.filename,
+        depthRange: result.depthRange,
+        colors: result.paperColors
+      }));
+    if (layers.length === 0) return null;
+    return JSON.stringify({ mode: this.paper.mode, layers }, null, 2);
+  }
+
+  /**
+   * 层级蒙版连通域清理
+   * @param {Uint8ClampedArray} mask 层级蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @returns {{mask: Uint8ClampedArray, islandsRemoved: number, holesFilled: number}} 清理结果
+   */
+  cleanupMask(mask, width, height) {
+    const islands = this.maskProcessor.removeIslands(mask, width, height, this.minIslandArea);
+    const holes = this.maskProcessor.fillHoles(islands.mask, width, height, this.minHoleArea);
+    return {
+      mask: holes.mask,
+      islandsRemoved: islands.removed,
+      holesFilled: holes.filled
+    };
+  }
+
+  /**
+   * 加载深度图并转换为与原图尺寸一致的深度场
+   * 16位PNG、PFM、NPY走高精度解码路径，不经过 drawImage/getImageData
+   * @param {HTMLImageElement} originalImg 原始图像
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {Function} onProgress 进度回调
+   * @returns {Promise<{width: number, height: number, data: Float32Array}>} 深度场 (0-100)
+   */
+  async loadDepthData(originalImg, depthSource, onProgress = null) {
+    if (await this.depthDecoder.isHighPrecisionFile(depthSource)) {
+      const field = await this.depthDecoder.decode(depthSource);
+      this.imageProcessor.showImageInfo(originalImg, field);
+      
+      if (onProgress) onProgress(20, '调整图像尺寸...');
+      const adjustedField = this.imageProcessor.resizeDepthField(
+        field, originalImg.width, originalImg.height, this.upsampleMethod, originalImg
+      );
+      
+      return adjustedField;
+    }
+    
+    let depthImg;
+    if (typeof depthSource === 'string') {
+      // Data URL
+      depthImg = await this.imageProcessor.loadImageFromDataUrl(depthSource);
+    } else {
+      // File对象
+      depthImg = await this.imageProcessor.loadImageFromFile(depthSource);
+    }
+    
+    // 显示图像信息
+    this.imageProcessor.showImageInfo(originalImg, depthImg);
+    
+    // 调整深度图尺寸
+    if (onProgress) onProgress(20, '调整图像尺寸...');
+    const adjustedDepthCanvas = this.imageProcessor.autoAdjustDepthImage(originalImg, depthImg, this.upsampleMethod);
+    
+    // 转换深度数据
+    if (onProgress) onProgress(30, '转换深度数据...');
+    return this.imageProcessor.convertDepthImageToField(adjustedDepthCanvas);
+  }
+
   /**
    * 获取文件基础名称（不含扩展名）
    * @param {string} filename 文件名
@@ -146,25 +1087,303 @@ class BrowserDepthCutter {
     return lastDotIndex > 0 ? filename.substring(0, lastDotIndex) : filename;
   }
 
+  /**
+   * 预览代理的结果只用于预览，导出前需要以全分辨率重新渲染
+   */
+  checkExportable() {
+    if (this.renderScale < 1) {
+      throw new Error('当前为预览分辨率结果，请先点击“渲染全分辨率”再导出');
+    }
+  }
+
   /**
    * 下载单个文件
    * @param {number} layerIndex 层级索引
    */
   async downloadLayer(layerIndex) {
+    this.checkExportable();
     if (layerIndex < 0 || layerIndex >= this.results.length) {
       throw new Error('无效的层级索引');
     }
     
     const result = this.results[layerIndex];
-    await this.imageProcessor.downloadCanvas(result.canvas, result.filename);
+    this.imageProcessor.downloadBlob(result.blob, result.filename);
     console.log(`✓ 下载完成: ${result.filename}`);
   }
 
+  /**
+   * 获取每像素对应的毫米数
+   * @returns {number} 毫米/像素，优先使用物理宽度，否则按目标DPI换算
+   */
+  getMillimetersPerPixel() {
+    if (this.physicalWidthMm > 0 && this.sourceWidth > 0) {
+      return this.physicalWidthMm / this.sourceWidth;
+    }
+    return 25.4 / this.dpi;
+  }
+
+  /**
+   * 追踪层级轮廓（结果缓存在层级结果中）
+   * @param {number} layerIndex 层级索引
+   * @returns {Promise<Object>} VectorExporter.traceLayer 的结果
+   */
+  async getLayerTrace(layerIndex) {
+    const result = this.results[layerIndex];
+    if (result.tiled) {
+      throw new Error('分块处理的层级不支持矢量导出');
+    }
+    if (!result.trace) {
+      result.trace = this.vectorExporter.traceLayer(await this.decodeLayer(layerIndex), { hasFrame: this.borderWidth > 0 });
+    }
+    return result.trace;
+  }
+
+  /**
+   * 生成层级SVG切割路径
+   * @param {number} layerIndex 层级索引
+   * @returns {Promise<{filename: string, content: string}>} SVG文件名与内容
+   */
+  async exportLayerSvg(layerIndex) {
+    if (layerIndex < 0 || layerIndex >= this.results.length) {
+      throw new Error('无效的层级索引');
+    }
+    
+    const result = this.results[layerIndex];
+    const content = this.vectorExporter.toSvg(await this.getLayerTrace(layerIndex), {
+      mmPerPixel: this.physicalWidthMm > 0 ? this.getMillimetersPerPixel() : 0,
+      title: `Layer ${result.layer} (${result.depthRange})`
+    });
+    return { filename: `${this.getBaseName(result.filename)}.svg`, content };
+  }
+
+  /**
+   * 下载单个层级的SVG切割路径
+   * @param {number} layerIndex 层级索引
+   */
+  async downloadLayerSvg(layerIndex) {
+    this.checkExportable();
+    const { filename, content } = await this.exportLayerSvg(layerIndex);
+    this.imageProcessor.downloadBlob(new Blob([content], { type: 'image/svg+xml' }), filename);
+    console.log(`✓ 下载完成: ${filename}`);
+  }
+
+  /**
+   * 生成DXF切割轮廓（毫米单位）
+   * @param {Array<number>} layerIndices 层级索引数组，多个层级时并排放在同一图纸上
+   * @returns {Promise<string>} DXF文本
+   */
+  async exportDxf(layerIndices) {
+    const layers = [];
+    for (const index of layerIndices) {
+      if (index < 0 || index >= this.results.length) {
+        throw new Error('无效的层级索引');
+      }
+      layers.push({
+        name: this.getBaseName(this.results[index].filename),
+        trace: await this.getLayerTrace(index)
+      });
+    }
+    
+    return this.vectorExporter.toDxf(layers, { mmPerPixel: this.getMillimetersPerPixel() });
+  }
+
+  /**
+   * 下载单个层级的DXF切割轮廓
+   * @param {number} layerIndex 层级索引
+   */
+  async downloadLayerDxf(layerIndex) {
+    this.checkExportable();
+    const content = await this.exportDxf([layerIndex]);
+    const filename = `${this.getBaseName(this.results[layerIndex].filename)}.dxf`;
+    this.imageProcessor.downloadBlob(new Blob([content], { type: 'application/dxf' }), filename);
+    console.log(`✓ 下载完成: ${filename}`);
+  }
+
+  /**
+   * 下载选中层级的DXF切割轮廓
+   * sheet 排版输出单个DXF文件，separate 排版每层一个DXF文件并打包为ZIP
+   * @param {Array<number>} selectedIndices 选中的层级索引数组
+   */
+  async downloadSelectedAsDxf(selectedIndices) {
+    this.checkExportable();
+    if (!selectedIndices || selectedIndices.length === 0) {
+      throw new Error('请选择要下载的文件');
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    if (this.dxfLayout === 'sheet') {
+      const filename = `DepthCut_${timestamp}.dxf`;
+      const content = await this.exportDxf(selectedIndices);
+      this.imageProcessor.downloadBlob(new Blob([content], { type: 'application/dxf' }), filename);
+      console.log(`✓ DXF下载完成: ${filename} (${selectedIndices.length} 个层级)`);
+      return;
+    }
+    
+    if (typeof JSZip === 'undefined') {
+      throw new Error('需要JSZip库支持批量下载功能');
+    }
+    
+    const zip = new JSZip();
+    for (const index of selectedIndices) {
+      zip.file(`${this.getBaseName(this.results[index].filename)}.dxf`, await this.exportDxf([index]));
+    }
+    
+    const zipFilename = `DepthCut_DXF_${timestamp}.zip`;
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    this.imageProcessor.downloadBlob(zipBlob, zipFilename);
+    console.log(`✓ DXF下载完成: ${zipFilename} (${selectedIndices.length} 个文件)`);
+  }
+
+  /**
+   * 获取层级在原图尺寸内的覆盖标记（由渲染时保留的层级模板解码，白色视为覆盖）
+   * @param {number} layerIndex 层级索引
+   * @returns {Promise<{coverage: Uint8Array, width: number, height: number}>} 覆盖标记与尺寸
+   */
+  async getLayerCoverage(layerIndex) {
+    const result = this.results[layerIndex];
+    if (result.tiled) {
+      throw new Error('分块处理的层级不支持蒙版导出');
+    }
+    if (!result.stencilBlob) {
+      throw new Error('渲染时未启用模板或标签图导出，请重新处理');
+    }
+    const bitmap = await createImageBitmap(result.stencilBlob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    const canvas = this.imageProcessor.bitmapToCanvas(bitmap);
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    
+    const coverage = new Uint8Array(width * height);
+    for (let i = 0; i < coverage.length; i++) {
+      coverage[i] = data[i * 4] >= 128 ? 1 : 0;
+    }
+    return { coverage, width, height };
+  }
+
+  /**
+   * 生成模板文件名
+   * @param {number} layerIndex 层级索引
+   * @returns {string} 文件名
+   */
+  getStencilFilename(layerIndex) {
+    // 文件名不含序号时自动追加，避免各层模板同名
+    const pattern = /\{(index|layer)\}/.test(this.stencilPattern) ?
+      this.stencilPattern :
+      this.stencilPattern.replace(/(\.png)?$/i, '_{index}.png');
+    return pattern
+      .replace(/\{index\}/g, String(layerIndex).padStart(4, '0'))
+      .replace(/\{layer\}/g, String(this.results[layerIndex].layer));
+  }
+
+  /**
+   * 由层级蒙版生成黑白模板（白色为层级覆盖区域，黑色为其余区域，尺寸与原图一致）
+   * @param {Uint8ClampedArray} mask 层级蒙版 (0-255，不低于128视为覆盖)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @returns {HTMLCanvasElement} 模板Canvas
+   */
+  createStencilCanvas(mask, width, height) {
+    const canvas = this.imageProcessor.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    const data = imageData.data;
+    
+    for (let i = 0; i < mask.length; i++) {
+      const value = mask[i] >= 128 ? 255 : 0;
+      data[i * 4] = value;
+      data[i * 4 + 1] = value;
+      data[i * 4 + 2] = value;
+      data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 生成层级标签图：每个像素的灰度值为覆盖它的最近层级编号（从1开始），0为不属于任何层级
+   * 层级按由远到近排列，近处层级覆盖远处层级，与叠放后可见的层级一致
+   * @param {Array<number>} layerIndices 层级索引数组
+   * @returns {Promise<HTMLCanvasElement>} 标签图Canvas
+   */
+  async createLabelMapCanvas(layerIndices) {
+    let labels = null;
+    let width = 0;
+    let height = 0;
+    
+    for (const index of [...layerIndices].sort((a, b) => a - b)) {
+      const layer = await this.getLayerCoverage(index);
+      if (!labels) {
+        ({ width, height } = layer);
+        labels = new Uint8Array(width * height);
+      }
+      const value = Math.min(255, this.results[index].layer);
+      for (let i = 0; i < labels.length; i++) {
+        if (layer.coverage[i]) labels[i] = value;
+      }
+    }
+    
+    const canvas = this.imageProcessor.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    const data = imageData.data;
+    for (let i = 0; i < width * height; i++) {
+      data[i * 4] = labels[i];
+      data[i * 4 + 1] = labels[i];
+      data[i * 4 + 2] = labels[i];
+      data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 将层级文件加入ZIP（PNG，以及按设置附带的矢量文件与黑白模板）
+   * @param {JSZip} zip ZIP对象
+   * @param {number} layerIndex 层级索引
+   */
+  async addLayerToZip(zip, layerIndex) {
+    const result = this.results[layerIndex];
+    zip.file(result.filename, result.blob);
+    
+    if (this.includeSvg) {
+      const svg = await this.exportLayerSvg(layerIndex);
+      zip.file(svg.filename, svg.content);
+    }
+    
+    if (this.includeStencils) {
+      zip.file(this.getStencilFilename(layerIndex), result.stencilBlob);
+    }
+  }
+
+  /**
+   * 将层级标签图加入ZIP（按设置）
+   * @param {JSZip} zip ZIP对象
+   * @param {Array<number>} layerIndices 层级索引数组
+   */
+  async addLabelMapToZip(zip, layerIndices) {
+    if (!this.includeLabelMap || layerIndices.length === 0) return;
+    const labelMap = await this.imageProcessor.canvasToBlob(await this.createLabelMapCanvas(layerIndices));
+    zip.file(this.labelMapFilename, labelMap);
+  }
+
+  /**
+   * 将纸张颜色清单加入ZIP（仅纸张模式）
+   * @param {JSZip} zip ZIP对象
+   * @param {Array<number>} layerIndices 层级索引数组
+   */
+  addPaletteToZip(zip, layerIndices) {
+    const palette = this.exportPalette(layerIndices);
+    if (palette) {
+      zip.file('palette.json', palette);
+    }
+  }
+
   /**
    * 下载所有文件（打包为ZIP）
    * @returns {Promise<Blob>} ZIP文件Blob
    */
   async downloadAllAsZip() {
+    this.checkExportable();
     // 注意：这里需要引入JSZip库
     if (typeof JSZip === 'undefined') {
       throw new Error('需要JSZip库支持批量下载功能');
@@ -174,9 +1393,12 @@ class BrowserDepthCutter {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
     // 添加所有文件到ZIP
-    for (const result of this.results) {
-      zip.file(result.filename, result.blob);
+    const allIndices = this.results.map((result, index) => index);
+    for (const index of allIndices) {
+      await this.addLayerToZip(zip, index);
     }
+    await this.addLabelMapToZip(zip, allIndices);
+    this.addPaletteToZip(zip, allIndices);
     
     // 生成ZIP文件
     const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -204,6 +1426,7 @@ class BrowserDepthCutter {
    * @returns {Promise<Blob>} ZIP文件Blob
    */
   async downloadSelectedAsZip(selectedIndices) {
+    this.checkExportable();
     // 注意：这里需要引入JSZip库
     if (typeof JSZip === 'undefined') {
       throw new Error('需要JSZip库支持批量下载功能');
@@ -217,12 +1440,12 @@ class BrowserDepthCutter {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
     // 添加选中的文件到ZIP
-    for (const index of selectedIndices) {
-      if (index >= 0 && index < this.results.length) {
-        const result = this.results[index];
-        zip.file(result.filename, result.blob);
-      }
+    const validIndices = selectedIndices.filter(index => index >= 0 && index < this.results.length);
+    for (const index of validIndices) {
+      await this.addLayerToZip(zip, index);
     }
+    await this.addLabelMapToZip(zip, validIndices);
+    this.addPaletteToZip(zip, validIndices);
     
     // 生成ZIP文件
     const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -269,6 +1492,10 @@ class BrowserDepthCutter {
    * 清理结果数据
    */
   cleanup() {
+    // 释放缩略图对象URL
+    this.results.forEach(result => {
+      if (result && result.previewUrl) URL.revokeObjectURL(result.previewUrl);
+    });
     this.results = [];
     console.log('✓ 结果数据已清理');
   }
@@ -290,7 +1517,7 @@ class BrowserDepthCutter {
     
     // 创建预览图像
     const img = document.createElement('img');
-    img.src = result.previewDataUrl;
+    img.src = result.previewUrl;
     img.alt = `Layer ${result.layer}`;
     img.style.width = '100%';
     img.style.height = '100%';
@@ -344,8 +1571,10 @@ class BrowserDepthCutter {
       throw new Error('不支持的图片格式，请上传 JPG、PNG、BMP 或 WebP 格式的图片');
     }
     
-    if (depthSource instanceof File && !allowedTypes.includes(depthSource.type)) {
-      throw new Error('不支持的深度图格式，请上传 JPG、PNG、BMP 或 WebP 格式的图片');
+    if (depthSource instanceof File &&
+        !allowedTypes.includes(depthSource.type) &&
+        !this.depthDecoder.isRawDepthFile(depthSource)) {
+      throw new Error('不支持的深度图格式，请上传 JPG、PNG、BMP、WebP、PFM 或 NPY 格式的深度图');
     }
     
     console.log('✓ 输入验证通过');
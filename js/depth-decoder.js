@@ -0,0 +1,395 @@
+/**
+ * DepthMapDecoder - 高精度深度图解码器
+ * 直接解析16位灰度PNG、PFM和NPY文件，避免经过Canvas降为8位
+ */
+
+class DepthMapDecoder {
+  constructor() {
+    this.maxDepth = 100;
+  }
+
+  /**
+   * 获取文件扩展名（小写）
+   * @param {File} file 文件对象
+   * @returns {string} 扩展名
+   */
+  getExtension(file) {
+    const name = file && file.name ? file.name : '';
+    const lastDotIndex = name.lastIndexOf('.');
+    return lastDotIndex >= 0 ? name.substring(lastDotIndex + 1).toLowerCase() : '';
+  }
+
+  /**
+   * 判断文件是否为原始深度格式（PFM/NPY）
+   * @param {File} file 文件对象
+   * @returns {boolean} 是否为原始深度格式
+   */
+  isRawDepthFile(file) {
+    return ['pfm', 'npy'].includes(this.getExtension(file));
+  }
+
+  /**
+   * 判断文件是否需要走高精度解码路径
+   * @param {File} file 文件对象
+   * @returns {Promise<boolean>} 是否为高精度深度文件
+   */
+  async isHighPrecisionFile(file) {
+    if (!file || typeof file === 'string') return false;
+    if (this.isRawDepthFile(file)) return true;
+
+    if (file.type === 'image/png' || this.getExtension(file) === 'png') {
+      const header = new Uint8Array(await file.slice(0, 33).arrayBuffer());
+      return this.isPngSignature(header) && header[24] === 16;
+    }
+
+    return false;
+  }
+
+  /**
+   * 解码深度文件
+   * @param {File} file 深度文件
+   * @returns {Promise<{width: number, height: number, data: Float32Array, format: string}>} 深度场 (0-100)
+   */
+  async decode(file) {
+    const buffer = await file.arrayBuffer();
+    const extension = this.getExtension(file);
+    let field;
+
+    if (extension === 'pfm') {
+      field = this.decodePfm(buffer);
+    } else if (extension === 'npy') {
+      field = this.decodeNpy(buffer);
+    } else {
+      field = await this.decodePng16(buffer);
+    }
+
+    console.log(`✓ 高精度深度图解码完成 (${field.format}, ${field.width}×${field.height})`);
+    return field;
+  }
+
+  /**
+   * 检查PNG文件签名
+   * @param {Uint8Array} bytes 文件字节
+   * @returns {boolean} 是否为PNG
+   */
+  isPngSignature(bytes) {
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    return signature.every((value, index) => bytes[index] === value);
+  }
+
+  /**
+   * 解码16位PNG，取灰度（或R通道）
+   * @param {ArrayBuffer} buffer 文件数据
+   * @returns {Promise<Object>} 深度场
+   */
+  async decodePng16(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!this.isPngSignature(bytes)) {
+      throw new Error('不是有效的PNG文件');
+    }
+
+    const view = new DataView(buffer);
+    let offset = 8;
+    let header = null;
+    const idatChunks = [];
+
+    while (offset < bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const dataStart = offset + 8;
+
+      if (type === 'IHDR') {
+        header = {
+          width: view.getUint32(dataStart),
+          height: view.getUint32(dataStart + 4),
+          bitDepth: bytes[dataStart + 8],
+          colorType: bytes[dataStart + 9],
+          interlace: bytes[dataStart + 12]
+        };
+      } else if (type === 'IDAT') {
+        idatChunks.push(bytes.subarray(dataStart, dataStart + length));
+      } else if (type === 'IEND') {
+        break;
+      }
+
+      offset = dataStart + length + 4; // 跳过CRC
+    }
+
+    if (!header) {
+      throw new Error('PNG缺少IHDR头');
+    }
+    if (header.bitDepth !== 16) {
+      throw new Error(`仅支持16位PNG，当前为${header.bitDepth}位`);
+    }
+    if (header.interlace !== 0) {
+      throw new Error('暂不支持隔行扫描的PNG');
+    }
+
+    const channelsByType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+    const channels = channelsByType[header.colorType];
+    if (!channels) {
+      throw new Error(`不支持的PNG颜色类型: ${header.colorType}`);
+    }
+
+    const raw = await this.inflate(idatChunks);
+    const bytesPerPixel = channels * 2;
+    const stride = header.width * bytesPerPixel;
+    const pixels = this.unfilterPng(raw, header.height, stride, bytesPerPixel);
+
+    const { width, height } = header;
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * stride;
+      for (let x = 0; x < width; x++) {
+        const index = rowStart + x * bytesPerPixel;
+        const value = (pixels[index] << 8) | pixels[index + 1];
+        data[y * width + x] = (value / 65535) * this.maxDepth;
+      }
+    }
+
+    return { width, height, data, format: 'PNG16' };
+  }
+
+  /**
+   * 解压zlib数据
+   * @param {Uint8Array[]} chunks 压缩数据块
+   * @returns {Promise<Uint8Array>} 解压后的数据
+   */
+  async inflate(chunks) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('当前浏览器不支持DecompressionStream，无法解码16位PNG');
+    }
+
+    const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * 还原PNG行过滤
+   * @param {Uint8Array} raw 解压后的数据（每行以过滤类型开头）
+   * @param {number} height 行数
+   * @param {number} stride 每行字节数（不含过滤字节）
+   * @param {number} bpp 每像素字节数
+   * @returns {Uint8Array} 像素数据
+   */
+  unfilterPng(raw, height, stride, bpp) {
+    const out = new Uint8Array(height * stride);
+
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (stride + 1)];
+      const src = y * (stride + 1) + 1;
+      const dst = y * stride;
+      const prev = dst - stride;
+
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bpp ? out[dst + i - bpp] : 0;
+        const up = y > 0 ? out[prev + i] : 0;
+        const upLeft = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+        let value = raw[src + i];
+
+        switch (filter) {
+          case 1: value += left; break;
+          case 2: value += up; break;
+          case 3: value += (left + up) >> 1; break;
+          case 4: {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            value += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            break;
+          }
+          default: break;
+        }
+
+        out[dst + i] = value & 0xff;
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * 解码PFM（Portable Float Map），取灰度或R通道
+   * @param {ArrayBuffer} buffer 文件数据
+   * @returns {Object} 深度场
+   */
+  decodePfm(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const tokens = [];
+    let offset = 0;
+
+    // 头部为三个以空白分隔的字段：类型、宽高、比例
+    while (tokens.length < 4 && offset < bytes.length) {
+      while (offset < bytes.length && /\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+      let token = '';
+      while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) {
+        token += String.fromCharCode(bytes[offset++]);
+      }
+      tokens.push(token);
+    }
+    offset++; // 头部结束后的单个空白字符
+
+    const [type, widthToken, heightToken, scaleToken] = tokens;
+    if (type !== 'Pf' && type !== 'PF') {
+      throw new Error('不是有效的PFM文件');
+    }
+
+    const width = parseInt(widthToken);
+    const height = parseInt(heightToken);
+    const scale = parseFloat(scaleToken);
+    const channels = type === 'PF' ? 3 : 1;
+    const littleEndian = scale < 0;
+
+    if (!(width > 0 && height > 0) || offset + width * height * channels * 4 > bytes.length) {
+      throw new Error('PFM文件数据不完整');
+    }
+
+    const view = new DataView(buffer, offset);
+    const values = new Float32Array(width * height);
+    // PFM按从下到上的顺序存储行
+    for (let y = 0; y < height; y++) {
+      const srcRow = height - 1 - y;
+      for (let x = 0; x < width; x++) {
+        values[y * width + x] = view.getFloat32((srcRow * width + x) * channels * 4, littleEndian);
+      }
+    }
+
+    return this.normalizeField({ width, height, data: values, format: 'PFM' });
+  }
+
+  /**
+   * 解码NPY（NumPy数组），支持 (H, W) 或 (H, W, C) 形状，前导的长度为1的维度（如深度模型输出的 (1, H, W)）会被忽略
+   * @param {ArrayBuffer} buffer 文件数据
+   * @returns {Object} 深度场
+   */
+  decodeNpy(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(1, 6));
+    if (bytes[0] !== 0x93 || magic !== 'NUMPY') {
+      throw new Error('不是有效的NPY文件');
+    }
+
+    const view = new DataView(buffer);
+    const major = bytes[6];
+    const headerLength = major >= 2 ? view.getUint32(8, true) : view.getUint16(8, true);
+    const headerStart = major >= 2 ? 12 : 10;
+    const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+    const descrMatch = header.match(/'descr'\s*:\s*'([<>|=]?)([a-z])(\d+)'/);
+    const fortranMatch = header.match(/'fortran_order'\s*:\s*(True|False)/);
+    const shapeMatch = header.match(/'shape'\s*:\s*\(([^)]*)\)/);
+    if (!descrMatch || !shapeMatch) {
+      throw new Error('无法解析NPY文件头');
+    }
+
+    const littleEndian = descrMatch[1] !== '>';
+    const kind = descrMatch[2];
+    const itemSize = parseInt(descrMatch[3]);
+    const fortranOrder = fortranMatch && fortranMatch[1] === 'True';
+    const shape = shapeMatch[1].split(',').map(v => v.trim()).filter(Boolean).map(Number);
+    // 去掉前导的单元素维度，不影响数据排列
+    while (shape.length > 2 && shape[0] === 1) {
+      shape.shift();
+    }
+
+    if (shape.length < 2 || shape.length > 3) {
+      throw new Error(`不支持的NPY数组形状: (${shape.join(', ')})`);
+    }
+
+    const [height, width] = shape;
+    const channels = shape.length === 3 ? shape[2] : 1;
+    const readValue = this.getNpyReader(view, kind, itemSize, littleEndian);
+    const dataStart = headerStart + headerLength;
+
+    if (dataStart + width * height * channels * itemSize > bytes.length) {
+      throw new Error('NPY文件数据不完整');
+    }
+
+    const values = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // 仅取第一个通道
+        const index = fortranOrder ?
+          x * height + y :
+          (y * width + x) * channels;
+        values[y * width + x] = readValue(dataStart + index * itemSize);
+      }
+    }
+
+    return this.normalizeField({ width, height, data: values, format: `NPY(${kind}${itemSize})` });
+  }
+
+  /**
+   * 获取NPY数据类型读取函数
+   * @param {DataView} view 数据视图
+   * @param {string} kind 类型（f/u/i）
+   * @param {number} itemSize 字节数
+   * @param {boolean} littleEndian 是否小端
+   * @returns {Function} 读取函数
+   */
+  getNpyReader(view, kind, itemSize, littleEndian) {
+    const key = `${kind}${itemSize}`;
+    switch (key) {
+      case 'f4': return (offset) => view.getFloat32(offset, littleEndian);
+      case 'f8': return (offset) => view.getFloat64(offset, littleEndian);
+      case 'f2': return (offset) => this.halfToFloat(view.getUint16(offset, littleEndian));
+      case 'u1': return (offset) => view.getUint8(offset);
+      case 'u2': return (offset) => view.getUint16(offset, littleEndian);
+      case 'u4': return (offset) => view.getUint32(offset, littleEndian);
+      case 'i2': return (offset) => view.getInt16(offset, littleEndian);
+      case 'i4': return (offset) => view.getInt32(offset, littleEndian);
+      default:
+        throw new Error(`不支持的NPY数据类型: ${key}`);
+    }
+  }
+
+  /**
+   * 半精度浮点转换
+   * @param {number} half 16位半精度值
+   * @returns {number} 浮点数
+   */
+  halfToFloat(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x03ff;
+
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+  }
+
+  /**
+   * 将任意范围的浮点深度线性归一化到 0-100（非有限值视为最远）
+   * @param {Object} field 深度场
+   * @returns {Object} 归一化后的深度场
+   */
+  normalizeField(field) {
+    const { data } = field;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < data.length; i++) {
+      const value = data[i];
+      if (!isFinite(value)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    const span = max > min ? max - min : 1;
+    for (let i = 0; i < data.length; i++) {
+      const value = data[i];
+      data[i] = isFinite(value) ? ((value - min) / span) * this.maxDepth : 0;
+    }
+
+    console.log(`📏 原始深度范围: ${min} ~ ${max}`);
+    return field;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DepthMapDecoder;
+} else {
+  window.DepthMapDecoder = DepthMapDecoder;
+}
@@ -0,0 +1,280 @@
+/**
+ * DepthFilter - 深度图降噪
+ * 在切分前对深度数据依次执行中值、双边、保边平滑（引导滤波）
+ */
+
+class DepthFilter {
+  constructor() {
+    this.maxDepth = 100;
+    this.bins = 1001; // 中值滤波的量化精度 0.1
+    this.sigmaRange = 5; // 双边滤波深度差标准差（深度单位）
+    this.epsilon = 25; // 引导滤波正则项（深度单位的平方）
+    this.maskProcessor = new BrowserMaskProcessor();
+  }
+
+  /**
+   * 获取默认参数（不滤波）
+   * @returns {Object} 滤波参数
+   */
+  getDefaultParams() {
+    return {
+      median: false,
+      bilateral: false,
+      edgePreserving: false,
+      radius: 2
+    };
+  }
+
+  /**
+   * 判断是否启用了任一滤波
+   * @param {Object} params 滤波参数
+   * @returns {boolean} 是否需要滤波
+   */
+  isActive(params) {
+    return !!params && params.radius > 0 && (params.median || params.bilateral || params.edgePreserving);
+  }
+
+  /**
+   * 对深度场执行滤波链：中值 -> 双边 -> 保边平滑
+   * @param {Float32Array} data 深度值 (0-100)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {Object} params 滤波参数
+   * @returns {Float32Array} 滤波结果
+   */
+  filterField(data, width, height, params) {
+    if (!this.isActive(params)) return data;
+
+    const radius = Math.max(1, Math.round(params.radius));
+    let result = data;
+    if (params.median) result = this.median(result, width, height, radius);
+    if (params.bilateral) result = this.bilateral(result, width, height, radius);
+    if (params.edgePreserving) result = this.guided(result, width, height, radius);
+    return result;
+  }
+
+  /**
+   * 对深度场执行滤波链（原地修改）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {Object} params 滤波参数
+   * @returns {{width: number, height: number, data: Float32Array}} 滤波后的深度场
+   */
+  apply(depthField, params) {
+    if (!this.isActive(params) || depthField.data.length === 0) return depthField;
+
+    const { width, height, data } = depthField;
+    data.set(this.filterField(data, width, height, params));
+
+    console.log('✓ 深度降噪完成');
+    return depthField;
+  }
+
+  /**
+   * 中值滤波（量化直方图滑动窗口，Huang 算法，边缘像素外延）
+   * @param {Float32Array} data 深度值 (0-100)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Float32Array} 滤波结果
+   */
+  median(data, width, height, radius) {
+    const bins = this.bins;
+    const scale = (bins - 1) / this.maxDepth;
+    const quantized = new Uint16Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      quantized[i] = Math.min(bins - 1, Math.max(0, Math.round(data[i] * scale)));
+    }
+
+    const result = new Float32Array(data.length);
+    const histogram = new Uint32Array(bins);
+    const size = radius * 2 + 1;
+    const half = Math.floor((size * size) / 2);
+    const clampX = (x) => Math.min(width - 1, Math.max(0, x));
+    const clampY = (y) => Math.min(height - 1, Math.max(0, y));
+
+    const addColumn = (x, y, delta) => {
+      const column = clampX(x);
+      for (let dy = -radius; dy <= radius; dy++) {
+        histogram[quantized[clampY(y + dy) * width + column]] += delta;
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      histogram.fill(0);
+      for (let dx = -radius; dx <= radius; dx++) {
+        addColumn(dx, y, 1);
+      }
+
+      // below：小于当前中值的样本数
+      let medianBin = 0;
+      let below = 0;
+      while (below + histogram[medianBin] <= half) {
+        below += histogram[medianBin];
+        medianBin++;
+      }
+
+      for (let x = 0; x < width; x++) {
+        result[y * width + x] = medianBin / scale;
+        if (x === width - 1) break;
+
+        // 滑动窗口：移除左列、加入右列，并同步维护 below
+        const leftColumn = clampX(x - radius);
+        const rightColumn = clampX(x + radius + 1);
+        for (let dy = -radius; dy <= radius; dy++) {
+          const row = clampY(y + dy) * width;
+          const removed = quantized[row + leftColumn];
+          const added = quantized[row + rightColumn];
+          histogram[removed]--;
+          if (removed < medianBin) below--;
+          histogram[added]++;
+          if (added < medianBin) below++;
+        }
+
+        while (below > half) {
+          medianBin--;
+          below -= histogram[medianBin];
+        }
+        while (below + histogram[medianBin] <= half) {
+          below += histogram[medianBin];
+          medianBin++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 双边滤波（空间高斯 × 深度差高斯）
+   * @param {Float32Array} data 深度值 (0-100)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Float32Array} 滤波结果
+   */
+  bilateral(data, width, height, radius) {
+    const result = new Float32Array(data.length);
+    const sigmaSpatial = Math.max(0.5, radius / 2);
+
+    // 空间权重核
+    const size = radius * 2 + 1;
+    const spatial = new Float32Array(size * size);
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        spatial[(dy + radius) * size + (dx + radius)] = Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpatial * sigmaSpatial));
+      }
+    }
+
+    // 深度差权重查找表（精度 0.1）
+    const rangeLut = new Float32Array(this.bins);
+    for (let i = 0; i < this.bins; i++) {
+      const diff = i / 10;
+      rangeLut[i] = Math.exp(-(diff * diff) / (2 * this.sigmaRange * this.sigmaRange));
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const center = data[y * width + x];
+        let sum = 0;
+        let weightSum = 0;
+
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -radius; dx <= radius; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const value = data[ny * width + nx];
+            const diff = Math.min(this.bins - 1, Math.round(Math.abs(value - center) * 10));
+            const weight = spatial[(dy + radius) * size + (dx + radius)] * rangeLut[diff];
+            sum += value * weight;
+            weightSum += weight;
+          }
+        }
+
+        result[y * width + x] = sum / weightSum;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 保边平滑（以深度图自身为引导的引导滤波）
+   * 平坦区域被平滑，方差大于 epsilon 的深度边缘得以保留
+   * @param {Float32Array} data 深度值 (0-100)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Float32Array} 滤波结果
+   */
+  guided(data, width, height, radius) {
+    const squared = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      squared[i] = data[i] * data[i];
+    }
+
+    const mean = this.maskProcessor.boxBlur(data, width, height, radius);
+    const meanSquared = this.maskProcessor.boxBlur(squared, width, height, radius);
+
+    const a = new Float32Array(data.length);
+    const b = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const variance = Math.max(0, meanSquared[i] - mean[i] * mean[i]);
+      a[i] = variance / (variance + this.epsilon);
+      b[i] = mean[i] - a[i] * mean[i];
+    }
+
+    const meanA = this.maskProcessor.boxBlur(a, width, height, radius);
+    const meanB = this.maskProcessor.boxBlur(b, width, height, radius);
+
+    const result = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      result[i] = Math.min(this.maxDepth, Math.max(0, meanA[i] * data[i] + meanB[i]));
+    }
+    return result;
+  }
+
+  /**
+   * 对灰度深度图Canvas执行滤波（用于预览）
+   * @param {HTMLCanvasElement} sourceCanvas 灰度深度图Canvas
+   * @param {Object} params 滤波参数
+   * @param {number} scale 预览相对原图的缩放比例，用于换算半径
+   * @returns {HTMLCanvasElement} 滤波后的Canvas
+   */
+  renderPreview(sourceCanvas, params, scale = 1) {
+    const canvas = document.createElement('canvas');
+    canvas.width = sourceCanvas.width;
+    canvas.height = sourceCanvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(sourceCanvas, 0, 0);
+
+    if (!this.isActive(params)) return canvas;
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = imageData.data;
+    const data = new Float32Array(canvas.width * canvas.height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (pixels[i * 4] / 255) * this.maxDepth;
+    }
+
+    const previewParams = { ...params, radius: Math.max(1, Math.round(params.radius * scale)) };
+    const result = this.filterField(data, canvas.width, canvas.height, previewParams);
+    for (let i = 0; i < result.length; i++) {
+      const gray = Math.round((result[i] / this.maxDepth) * 255);
+      pixels[i * 4] = gray;
+      pixels[i * 4 + 1] = gray;
+      pixels[i * 4 + 2] = gray;
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DepthFilter;
+} else {
+  window.DepthFilter = DepthFilter;
+}
@@ -35,10 +35,12 @@ class BrowserDepthGenerator {
    * 生成深度图
    * @param {File} imageFile 图片文件
    * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号，取消时同时取消Replicate上的预测任务
    * @returns {Promise<string>} 深度图的Data URL
    */
-  async generateDepthMap(imageFile, onProgress = null) {
+  async generateDepthMap(imageFile, onProgress = null, signal = null) {
     console.log('🚀 开始生成深度图...');
+    let prediction = null;
     
     try {
       // 验证输入
@@ -47,18 +49,20 @@ class BrowserDepthGenerator {
       // 转换为base64
       if (onProgress) onProgress(10, '转换图片格式...');
       const base64Data = await this.fileToBase64(imageFile);
+      this.throwIfAborted(signal);
       
       // 创建预测任务
       if (onProgress) onProgress(20, '创建AI处理任务...');
-      const prediction = await this.createPrediction(base64Data);
+      prediction = await this.awaitCreation(this.createPrediction(base64Data), signal);
       
       // 轮询结果
       if (onProgress) onProgress(30, '等待AI处理...');
-      const result = await this.pollPrediction(prediction.id, onProgress);
+      const result = await this.pollPrediction(prediction.id, onProgress, signal);
+      prediction = null; // 任务已结束，无需取消
       
       // 下载深度图
       if (onProgress) onProgress(90, '下载深度图...');
-      const depthImageUrl = await this.downloadDepthImage(result.output);
+      const depthImageUrl = await this.downloadDepthImage(result.output, signal);
       
       if (onProgress) onProgress(100, '深度图生成完成！');
       console.log('✅ 深度图生成成功');
@@ -66,11 +70,90 @@ class BrowserDepthGenerator {
       return depthImageUrl;
       
     } catch (error) {
+      // 取消、超时或轮询失败时任务可能仍在运行并计费
+      if (prediction) {
+        await this.cancelPrediction(prediction.id);
+      }
+      if (error.name === 'AbortError') {
+        console.log('⏹️ 深度图生成已取消');
+        throw error;
+      }
       console.error('❌ 深度图生成失败:', error);
       throw new Error(`深度图生成失败: ${error.message}`);
     }
   }
 
+  /**
+   * 取消预测任务（失败时只记录日志）
+   * @param {string} predictionId 预测任务ID
+   */
+  async cancelPrediction(predictionId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/predictions/${predictionId}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Token ${this.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`API请求失败 (${response.status})`);
+      }
+      console.log('✓ 预测任务已取消:', predictionId);
+    } catch (error) {
+      console.warn('取消预测任务失败:', error);
+    }
+  }
+
+  /**
+   * 等待预测任务创建完成
+   * 创建请求不随取消中断（服务器可能已经创建任务）；取消时立即返回 AbortError，请求完成后再取消返回的任务
+   * @param {Promise<Object>} creating 创建请求
+   * @param {AbortSignal} signal 取消信号
+   * @returns {Promise<Object>} 预测任务对象
+   */
+  awaitCreation(creating, signal = null) {
+    if (!signal) return creating;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(this.createAbortError());
+        creating.then(prediction => this.cancelPrediction(prediction.id), () => {});
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      creating.then((prediction) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(prediction);
+      }, (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * 创建取消错误
+   * @returns {DOMException} AbortError
+   */
+  createAbortError() {
+    return new DOMException('操作已取消', 'AbortError');
+  }
+
+  /**
+   * 已取消时抛出 AbortError
+   * @param {AbortSignal} signal 取消信号
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this.createAbortError();
+    }
+  }
+
   /**
    * 验证图片文件
    * @param {File} file 文件对象
@@ -115,6 +198,7 @@ class BrowserDepthGenerator {
 
   /**
    * 创建预测任务
+   * 请求不接受取消信号，取消由 awaitCreation 处理
    * @param {string} base64Data base64图片数据
    * @returns {Promise<Object>} 预测任务对象
    */
@@ -147,14 +231,16 @@ class BrowserDepthGenerator {
    * 轮询预测结果
    * @param {string} predictionId 预测任务ID
    * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号
    * @returns {Promise<Object>} 预测结果
    */
-  async pollPrediction(predictionId, onProgress = null) {
+  async pollPrediction(predictionId, onProgress = null, signal = null) {
     const maxAttempts = 60; // 最多等待5分钟
     const pollInterval = 5000; // 5秒轮询一次
     
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       const response = await fetch(`${this.baseUrl}/predictions/${predictionId}`, {
+        signal,
         headers: {
           'Authorization': `Token ${this.apiToken}`,
           'Content-Type': 'application/json'
@@ -187,7 +273,7 @@ class BrowserDepthGenerator {
       }
       
       // 等待下次轮询
-      await this.sleep(pollInterval);
+      await this.sleep(pollInterval, signal);
     }
     
     throw new Error('AI处理超时，请稍后重试');
@@ -196,9 +282,10 @@ class BrowserDepthGenerator {
   /**
    * 下载深度图
    * @param {string|Object} output API输出结果
+   * @param {AbortSignal} signal 取消信号
    * @returns {Promise<string>} 深度图的Data URL
    */
-  async downloadDepthImage(output) {
+  async downloadDepthImage(output, signal = null) {
     let imageUrl;
     
     // 处理不同的输出格式
@@ -221,7 +308,7 @@ class BrowserDepthGenerator {
     console.log('📥 下载深度图:', imageUrl);
     
     // 下载图片并转换为Data URL
-    const response = await fetch(imageUrl);
+    const response = await fetch(imageUrl, { signal });
     if (!response.ok) {
       throw new Error(`深度图下载失败 (${response.status})`);
     }
@@ -247,10 +334,25 @@ class BrowserDepthGenerator {
   /**
    * 休眠函数
    * @param {number} ms 毫秒数
+   * @param {AbortSignal} signal 取消信号，取消时立即以 AbortError 结束
    * @returns {Promise<void>}
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -0,0 +1,380 @@
+/**
+ * DepthHistogram - 深度分布直方图
+ * 显示深度分布，并以可拖拽标记的方式编辑层级深度范围
+ */
+
+class DepthHistogram {
+  constructor(containerId, onChange = null) {
+    this.containerId = containerId;
+    this.container = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.table = null;
+    this.onChange = onChange; // 范围被手动修改时回调
+    this.histogram = null;
+    this.ranges = [];
+    this.dragging = null; // { index, edge: 'min'|'max' }
+
+    this.chartHeight = 140;
+    this.trackTop = this.chartHeight + 8;
+    this.handleHitWidth = 8;
+
+    // 绑定方法
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWindowResize = this.onWindowResize.bind(this);
+  }
+
+  /**
+   * 初始化DOM结构
+   */
+  init() {
+    if (this.container) return;
+
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      throw new Error(`Container with id '${this.containerId}' not found`);
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'histogram-canvas';
+    this.ctx = this.canvas.getContext('2d');
+
+    this.table = document.createElement('div');
+    this.table.className = 'histogram-ranges';
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.canvas);
+    this.container.appendChild(this.table);
+
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    window.addEventListener('resize', this.onWindowResize, false);
+  }
+
+  /**
+   * 设置直方图数据
+   * @param {Object} histogram DepthAnalyzer.computeHistogram 的结果
+   */
+  setHistogram(histogram) {
+    this.init();
+    this.histogram = histogram;
+    this.render();
+  }
+
+  /**
+   * 设置层级深度范围
+   * @param {Array<{min: number, max: number}>} ranges 深度范围数组
+   */
+  setRanges(ranges) {
+    this.init();
+    this.ranges = ranges.map(range => ({ min: range.min, max: range.max }));
+    this.render();
+  }
+
+  /**
+   * 获取当前深度范围（副本）
+   * @returns {Array<{min: number, max: number}>} 深度范围数组
+   */
+  getRanges() {
+    return this.ranges.map(range => ({ min: range.min, max: range.max }));
+  }
+
+  /**
+   * 计算深度范围内的像素覆盖
+   * @param {{min: number, max: number}} range 深度范围
+   * @returns {{pixels: number, percent: number}} 覆盖像素数与占比
+   */
+  getCoverage(range) {
+    if (!this.histogram) {
+      return { pixels: 0, percent: 0 };
+    }
+
+    const { counts, total, binSize } = this.histogram;
+    const start = Math.max(0, Math.round(range.min / binSize));
+    const end = Math.min(counts.length, Math.round(range.max / binSize));
+    let pixels = 0;
+    for (let i = start; i < end; i++) {
+      pixels += counts[i];
+    }
+
+    return {
+      pixels,
+      percent: total > 0 ? Math.round((pixels / total) * 1000) / 10 : 0
+    };
+  }
+
+  /**
+   * 渲染直方图与范围表格
+   */
+  render() {
+    this.renderChart();
+    this.renderTable();
+  }
+
+  /**
+   * 绘制直方图和范围标记
+   */
+  renderChart() {
+    if (!this.canvas) return;
+
+    const width = Math.max(200, this.container.clientWidth);
+    const rowHeight = this.getRowHeight();
+    const height = this.trackTop + rowHeight * Math.max(1, this.ranges.length) + 4;
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, width, height);
+
+    // 直方图柱状图（平方根缩放，保证小峰值可见）
+    if (this.histogram) {
+      const { counts } = this.histogram;
+      const columns = new Float64Array(width);
+      for (let i = 0; i < counts.length; i++) {
+        const x = Math.min(width - 1, Math.floor((i / counts.length) * width));
+        columns[x] += counts[i];
+      }
+
+      let peak = 0;
+      for (let x = 0; x < width; x++) {
+        peak = Math.max(peak, Math.sqrt(columns[x]));
+      }
+
+      ctx.fillStyle = '#94a3b8';
+      for (let x = 0; x < width; x++) {
+        if (columns[x] === 0 || peak === 0) continue;
+        const barHeight = (Math.sqrt(columns[x]) / peak) * (this.chartHeight - 4);
+        ctx.fillRect(x, this.chartHeight - barHeight, 1, barHeight);
+      }
+    }
+
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.beginPath();
+    ctx.moveTo(0, this.chartHeight + 0.5);
+    ctx.lineTo(width, this.chartHeight + 0.5);
+    ctx.stroke();
+
+    // 层级范围：直方图上的分界线 + 下方轨道中的可拖拽条
+    this.ranges.forEach((range, index) => {
+      const color = this.getLayerColor(index);
+      const x1 = this.depthToX(range.min, width);
+      const x2 = this.depthToX(range.max, width);
+      const y = this.trackTop + index * rowHeight;
+
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x1 + 0.5, 0);
+      ctx.lineTo(x1 + 0.5, this.chartHeight);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.35;
+      ctx.fillRect(x1, y + 1, Math.max(1, x2 - x1), rowHeight - 2);
+      ctx.globalAlpha = 1;
+
+      ctx.fillRect(x1 - 1, y, 3, rowHeight);
+      ctx.fillRect(x2 - 2, y, 3, rowHeight);
+    });
+  }
+
+  /**
+   * 渲染范围编辑表格
+   */
+  renderTable() {
+    if (!this.table) return;
+
+    this.table.innerHTML = '';
+    this.ranges.forEach((range, index) => {
+      const coverage = this.getCoverage(range);
+      const row = document.createElement('div');
+      row.className = 'histogram-range-row';
+      row.innerHTML = `
+        <span class="range-swatch" style="background: ${this.getLayerColor(index)}"></span>
+        <span class="range-label">层级 ${index + 1}</span>
+        <input type="number" class="range-input" data-edge="min" min="0" max="100" step="0.1" value="${range.min}">
+        <span class="range-separator">~</span>
+        <input type="number" class="range-input" data-edge="max" min="0" max="100" step="0.1" value="${range.max}">
+        <span class="range-coverage">${coverage.percent}% (${coverage.pixels.toLocaleString()} px)</span>
+      `;
+
+      row.querySelectorAll('.range-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+          this.updateRangeEdge(index, e.target.dataset.edge, parseFloat(e.target.value));
+          this.render();
+          this.emitChange();
+        });
+      });
+
+      this.table.appendChild(row);
+    });
+  }
+
+  /**
+   * 更新某个范围的边界，并保证 min < max
+   * @param {number} index 层级索引
+   * @param {string} edge 'min' 或 'max'
+   * @param {number} value 新的深度值
+   */
+  updateRangeEdge(index, edge, value) {
+    const range = this.ranges[index];
+    if (!range || isNaN(value)) return;
+
+    value = Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+    if (edge === 'min') {
+      range.min = Math.min(value, Math.round((range.max - 0.1) * 10) / 10);
+    } else {
+      range.max = Math.max(value, Math.round((range.min + 0.1) * 10) / 10);
+    }
+  }
+
+  /**
+   * 通知外部范围已修改
+   */
+  emitChange() {
+    if (this.onChange) {
+      this.onChange(this.getRanges());
+    }
+  }
+
+  /**
+   * 鼠标按下：命中最近的范围端点
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerDown(e) {
+    const { x, y } = this.getPointerPosition(e);
+    if (y < this.trackTop) return;
+
+    const index = Math.floor((y - this.trackTop) / this.getRowHeight());
+    const range = this.ranges[index];
+    if (!range) return;
+
+    const width = this.canvas.width;
+    const minDistance = Math.abs(x - this.depthToX(range.min, width));
+    const maxDistance = Math.abs(x - this.depthToX(range.max, width));
+    if (Math.min(minDistance, maxDistance) > this.handleHitWidth) return;
+
+    this.dragging = { index, edge: minDistance <= maxDistance ? 'min' : 'max' };
+    this.canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  }
+
+  /**
+   * 拖拽中：更新端点位置
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerMove(e) {
+    const { x, y } = this.getPointerPosition(e);
+
+    if (!this.dragging) {
+      this.canvas.style.cursor = this.hitHandle(x, y) ? 'ew-resize' : 'default';
+      return;
+    }
+
+    this.updateRangeEdge(this.dragging.index, this.dragging.edge, (x / (this.canvas.width - 1)) * 100);
+    this.renderChart();
+  }
+
+  /**
+   * 拖拽结束：刷新表格并通知外部
+   * @param {PointerEvent} e 指针事件
+   */
+  onPointerUp(e) {
+    if (!this.dragging) return;
+
+    this.dragging = null;
+    if (this.canvas.hasPointerCapture(e.pointerId)) {
+      this.canvas.releasePointerCapture(e.pointerId);
+    }
+    this.renderTable();
+    this.emitChange();
+  }
+
+  /**
+   * 判断坐标是否落在某个端点上
+   * @param {number} x 横坐标
+   * @param {number} y 纵坐标
+   * @returns {boolean} 是否命中
+   */
+  hitHandle(x, y) {
+    if (y < this.trackTop) return false;
+    const range = this.ranges[Math.floor((y - this.trackTop) / this.getRowHeight())];
+    if (!range) return false;
+
+    const width = this.canvas.width;
+    return Math.abs(x - this.depthToX(range.min, width)) <= this.handleHitWidth ||
+      Math.abs(x - this.depthToX(range.max, width)) <= this.handleHitWidth;
+  }
+
+  /**
+   * 获取指针在Canvas中的坐标
+   * @param {PointerEvent} e 指针事件
+   * @returns {{x: number, y: number}} 坐标
+   */
+  getPointerPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this.canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * this.canvas.height
+    };
+  }
+
+  /**
+   * 深度值转换为横坐标
+   * @param {number} depth 深度值 (0-100)
+   * @param {number} width Canvas宽度
+   * @returns {number} 横坐标
+   */
+  depthToX(depth, width) {
+    return (depth / 100) * (width - 1);
+  }
+
+  /**
+   * 获取轨道行高（层级越多越紧凑）
+   * @returns {number} 行高
+   */
+  getRowHeight() {
+    return this.ranges.length > 20 ? 6 : 10;
+  }
+
+  /**
+   * 获取层级颜色
+   * @param {number} index 层级索引
+   * @returns {string} 颜色
+   */
+  getLayerColor(index) {
+    const hue = (index * 137.5) % 360;
+    return `hsl(${hue}, 70%, 45%)`;
+  }
+
+  /**
+   * 窗口大小改变处理
+   */
+  onWindowResize() {
+    this.renderChart();
+  }
+
+  /**
+   * 清空数据
+   */
+  clear() {
+    this.histogram = null;
+    this.ranges = [];
+    this.dragging = null;
+    if (this.table) this.table.innerHTML = '';
+    if (this.ctx) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DepthHistogram;
+} else {
+  window.DepthHistogram = DepthHistogram;
+}
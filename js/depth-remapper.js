@@ -0,0 +1,283 @@
+/**
+ * DepthRemapper - 深度重映射
+ * 在切分前对深度值进行反转、色阶、百分位自动归一化、Gamma和色调曲线调整
+ */
+
+class DepthRemapper {
+  constructor() {
+    this.maxDepth = 100;
+    this.lutSize = 1001; // 0-100，精度 0.1
+  }
+
+  /**
+   * 获取默认参数（恒等映射）
+   * @returns {Object} 重映射参数
+   */
+  getDefaultParams() {
+    return {
+      invert: false,
+      gamma: 1,
+      blackPoint: 0,
+      whitePoint: 100,
+      autoNormalize: false,
+      lowPercentile: 1,
+      highPercentile: 99,
+      curve: [[0, 0], [100, 100]]
+    };
+  }
+
+  /**
+   * 合并参数并补全缺省值
+   * @param {Object} params 重映射参数
+   * @returns {Object} 完整参数
+   */
+  normalizeParams(params = {}) {
+    const merged = { ...this.getDefaultParams(), ...params };
+    merged.curve = (merged.curve && merged.curve.length >= 2 ? merged.curve : [[0, 0], [100, 100]])
+      .map(point => [Number(point[0]), Number(point[1])])
+      .sort((a, b) => a[0] - b[0]);
+    return merged;
+  }
+
+  /**
+   * 判断参数是否为恒等映射
+   * @param {Object} params 重映射参数
+   * @returns {boolean} 是否无需重映射
+   */
+  isIdentity(params) {
+    if (!params) return true;
+    const p = this.normalizeParams(params);
+    const linearCurve = p.curve.every(point => Math.abs(point[0] - point[1]) < 1e-6);
+    return !p.invert && !p.autoNormalize && p.gamma === 1 &&
+      p.blackPoint === 0 && p.whitePoint === 100 && linearCurve;
+  }
+
+  /**
+   * 根据直方图计算百分位深度
+   * @param {Object} histogram DepthAnalyzer.computeHistogram 的结果
+   * @param {number} percentile 百分位 (0-100)
+   * @returns {number} 深度值
+   */
+  getPercentile(histogram, percentile) {
+    const { counts, total, binSize } = histogram;
+    const target = (total * percentile) / 100;
+    let cumulative = 0;
+    for (let i = 0; i < counts.length; i++) {
+      cumulative += counts[i];
+      if (cumulative >= target) {
+        return (i + 0.5) * binSize;
+      }
+    }
+    return this.maxDepth;
+  }
+
+  /**
+   * 计算实际使用的黑白场
+   * @param {Object} params 完整参数
+   * @param {Object} histogram 深度直方图，自动归一化时需要
+   * @returns {{black: number, white: number}} 黑白场
+   */
+  resolveLevels(params, histogram) {
+    let black = params.blackPoint;
+    let white = params.whitePoint;
+
+    if (params.autoNormalize && histogram && histogram.total > 0) {
+      black = this.getPercentile(histogram, params.lowPercentile);
+      white = this.getPercentile(histogram, params.highPercentile);
+    }
+
+    if (white - black < 0.1) {
+      white = Math.min(this.maxDepth, black + 0.1);
+      black = white - 0.1;
+    }
+    return { black, white };
+  }
+
+  /**
+   * 构建色调曲线函数（单调三次插值，保证曲线不过冲）
+   * @param {Array<Array<number>>} points 控制点 [[x, y], ...] (0-100)
+   * @returns {Function} 曲线函数
+   */
+  createCurveFunction(points) {
+    const pts = points.slice().sort((a, b) => a[0] - b[0]);
+    const n = pts.length;
+    if (n < 2) return (x) => x;
+
+    const xs = pts.map(p => p[0]);
+    const ys = pts.map(p => p[1]);
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      const dx = xs[i + 1] - xs[i];
+      slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
+    }
+
+    // Fritsch-Carlson 切线
+    const tangents = new Array(n);
+    tangents[0] = slopes[0];
+    tangents[n - 1] = slopes[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+      tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    }
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = 0;
+        tangents[i + 1] = 0;
+        continue;
+      }
+      const a = tangents[i] / slopes[i];
+      const b = tangents[i + 1] / slopes[i];
+      const h = a * a + b * b;
+      if (h > 9) {
+        const t = 3 / Math.sqrt(h);
+        tangents[i] = t * a * slopes[i];
+        tangents[i + 1] = t * b * slopes[i];
+      }
+    }
+
+    return (x) => {
+      if (x <= xs[0]) return ys[0];
+      if (x >= xs[n - 1]) return ys[n - 1];
+
+      let i = 0;
+      while (i < n - 2 && x > xs[i + 1]) i++;
+
+      const dx = xs[i + 1] - xs[i];
+      if (dx <= 0) return ys[i + 1];
+      const t = (x - xs[i]) / dx;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      return (2 * t3 - 3 * t2 + 1) * ys[i] +
+        (t3 - 2 * t2 + t) * dx * tangents[i] +
+        (-2 * t3 + 3 * t2) * ys[i + 1] +
+        (t3 - t2) * dx * tangents[i + 1];
+    };
+  }
+
+  /**
+   * 构建查找表
+   * 顺序：色阶/自动归一化 -> 反转 -> Gamma -> 色调曲线
+   * @param {Object} params 重映射参数
+   * @param {Object} histogram 原始深度直方图，自动归一化时需要
+   * @returns {Float32Array} 查找表（下标为深度值 × 10）
+   */
+  buildLut(params, histogram = null) {
+    const p = this.normalizeParams(params);
+    const { black, white } = this.resolveLevels(p, histogram);
+    const curve = this.createCurveFunction(p.curve);
+    const gamma = p.gamma > 0 ? p.gamma : 1;
+    const lut = new Float32Array(this.lutSize);
+
+    for (let i = 0; i < this.lutSize; i++) {
+      const depth = (i / (this.lutSize - 1)) * this.maxDepth;
+      let t = Math.min(1, Math.max(0, (depth - black) / (white - black)));
+      if (p.invert) t = 1 - t;
+      t = Math.pow(t, 1 / gamma);
+      lut[i] = Math.min(this.maxDepth, Math.max(0, curve(t * this.maxDepth)));
+    }
+
+    return lut;
+  }
+
+  /**
+   * 查表（线性插值）
+   * @param {Float32Array} lut 查找表
+   * @param {number} depth 深度值 (0-100)
+   * @returns {number} 映射后的深度值
+   */
+  lookup(lut, depth) {
+    const position = Math.min(this.lutSize - 1, Math.max(0, depth * (this.lutSize - 1) / this.maxDepth));
+    const index = Math.floor(position);
+    const next = Math.min(this.lutSize - 1, index + 1);
+    const fraction = position - index;
+    return lut[index] + (lut[next] - lut[index]) * fraction;
+  }
+
+  /**
+   * 对深度数据进行重映射（原地修改）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {Object} params 重映射参数
+   * @param {Object} histogram 原始深度直方图，自动归一化时需要
+   * @returns {{width: number, height: number, data: Float32Array}} 重映射后的深度场
+   */
+  apply(depthField, params, histogram = null) {
+    if (this.isIdentity(params)) return depthField;
+
+    const lut = this.buildLut(params, histogram);
+    const data = depthField.data;
+    for (let i = 0; i < data.length; i++) {
+      data[i] = this.lookup(lut, data[i]);
+    }
+
+    console.log('✓ 深度重映射完成');
+    return depthField;
+  }
+
+  /**
+   * 对直方图进行重映射（用于预览分布，无需重新扫描像素）
+   * @param {Object} histogram 原始深度直方图
+   * @param {Object} params 重映射参数
+   * @returns {Object} 重映射后的直方图
+   */
+  remapHistogram(histogram, params) {
+    if (this.isIdentity(params)) return histogram;
+
+    const lut = this.buildLut(params, histogram);
+    const { counts, total, binSize } = histogram;
+    const remapped = new Uint32Array(counts.length);
+    for (let i = 0; i < counts.length; i++) {
+      if (counts[i] === 0) continue;
+      const depth = this.lookup(lut, (i + 0.5) * binSize);
+      const bin = Math.min(counts.length - 1, Math.floor(depth / binSize));
+      remapped[bin] += counts[i];
+    }
+
+    return { counts: remapped, total, binSize };
+  }
+
+  /**
+   * 将重映射应用到灰度深度图Canvas（用于实时预览）
+   * @param {HTMLCanvasElement} sourceCanvas 原始深度图Canvas
+   * @param {Object} params 重映射参数
+   * @param {Object} histogram 原始深度直方图，自动归一化时需要
+   * @returns {HTMLCanvasElement} 预览Canvas
+   */
+  renderPreview(sourceCanvas, params, histogram = null) {
+    const canvas = document.createElement('canvas');
+    canvas.width = sourceCanvas.width;
+    canvas.height = sourceCanvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(sourceCanvas, 0, 0);
+
+    if (this.isIdentity(params)) return canvas;
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+
+    // 未提供直方图时按预览像素统计，用于百分位归一化
+    if (!histogram && params.autoNormalize) {
+      const counts = new Uint32Array(this.lutSize - 1);
+      for (let i = 0; i < data.length; i += 4) {
+        counts[Math.min(counts.length - 1, Math.floor((data[i] / 255) * counts.length))]++;
+      }
+      histogram = { counts, total: data.length / 4, binSize: this.maxDepth / counts.length };
+    }
+
+    const lut = this.buildLut(params, histogram);
+    for (let i = 0; i < data.length; i += 4) {
+      const gray = Math.round((this.lookup(lut, (data[i] / 255) * this.maxDepth) / this.maxDepth) * 255);
+      data[i] = gray;
+      data[i + 1] = gray;
+      data[i + 2] = gray;
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DepthRemapper;
+} else {
+  window.DepthRemapper = DepthRemapper;
+}
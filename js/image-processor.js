@@ -7,15 +7,19 @@ class BrowserImageProcessor {
   constructor() {
     this.canvas = null;
     this.ctx = null;
+    this.maskProcessor = new BrowserMaskProcessor();
   }
 
   /**
-   * 创建Canvas元素
+   * 创建Canvas元素（在Worker中创建OffscreenCanvas）
    * @param {number} width 宽度
    * @param {number} height 高度
-   * @returns {HTMLCanvasElement} Canvas元素
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas元素
    */
   createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
@@ -25,9 +29,13 @@ class BrowserImageProcessor {
   /**
    * 从文件加载图像
    * @param {File} file 图片文件
-   * @returns {Promise<HTMLImageElement>} 图像元素
+   * @returns {Promise<HTMLImageElement|ImageBitmap>} 图像元素（在Worker中为ImageBitmap）
    */
   async loadImageFromFile(file) {
+    if (typeof Image === 'undefined') {
+      return createImageBitmap(file);
+    }
+    
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.onload = () => resolve(img);
@@ -45,9 +53,14 @@ class BrowserImageProcessor {
   /**
    * 从Data URL加载图像
    * @param {string} dataUrl Data URL
-   * @returns {Promise<HTMLImageElement>} 图像元素
+   * @returns {Promise<HTMLImageElement|ImageBitmap>} 图像元素（在Worker中为ImageBitmap）
    */
   async loadImageFromDataUrl(dataUrl) {
+    if (typeof Image === 'undefined') {
+      const response = await fetch(dataUrl);
+      return createImageBitmap(await response.blob());
+    }
+    
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.onload = () => resolve(img);
@@ -114,9 +127,10 @@ class BrowserImageProcessor {
    * 自动调整深度图尺寸以匹配原始图像
    * @param {HTMLImageElement} originalImg 原始图像
    * @param {HTMLImageElement} depthImg 深度图像
+   * @param {string} method 放大方式：bilinear(平滑)/nearest(最近邻)/guided(以原图为引导的联合双边上采样)
    * @returns {HTMLCanvasElement} 调整后的深度图Canvas
    */
-  autoAdjustDepthImage(originalImg, depthImg) {
+  autoAdjustDepthImage(originalImg, depthImg, method = 'bilinear') {
     console.log(`📐 调整深度图尺寸: ${depthImg.width}×${depthImg.height} -> ${originalImg.width}×${originalImg.height}`);
     
     if (this.checkSizeMatch(originalImg, depthImg)) {
@@ -127,129 +141,399 @@ class BrowserImageProcessor {
       return canvas;
     }
     
+    if (method === 'nearest') {
+      const canvas = this.createCanvas(originalImg.width, originalImg.height);
+      const ctx = canvas.getContext('2d');
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(depthImg, 0, 0, originalImg.width, originalImg.height);
+      return canvas;
+    }
+    
+    if (method === 'guided' && this.isUpsampling(depthImg, originalImg)) {
+      const field = this.imageToDepthField(depthImg);
+      return this.depthFieldToCanvas(this.jointBilateralUpsample(field, originalImg));
+    }
+    
     // 调整尺寸
     return this.resizeImage(depthImg, originalImg.width, originalImg.height);
   }
 
   /**
-   * 将深度图转换为深度数据数组
+   * 判断是否为放大（两个方向都不缩小）
+   * @param {{width: number, height: number}} source 源尺寸
+   * @param {{width: number, height: number}} target 目标尺寸
+   * @returns {boolean} 是否放大
+   */
+  isUpsampling(source, target) {
+    return target.width >= source.width && target.height >= source.height;
+  }
+
+  /**
+   * 将8位深度图读取为深度场（R通道，0-100）
    * @param {HTMLImageElement|HTMLCanvasElement} depthImg 深度图像
-   * @returns {number[][]} 深度数据数组 (0-100)
-   */
-  convertDepthImageToData(depthImg) {
-    const canvas = depthImg instanceof HTMLCanvasElement ? 
-      depthImg : 
-      (() => {
-        const c = this.createCanvas(depthImg.width, depthImg.height);
-        const ctx = c.getContext('2d');
-        ctx.drawImage(depthImg, 0, 0);
-        return c;
-      })();
-    
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-    
-    const width = canvas.width;
-    const height = canvas.height;
-    const depthData = [];
-    
-    console.log(`🔄 转换深度数据 (${width}×${height})...`);
-    
+   * @returns {{width: number, height: number, data: Float32Array}} 深度场
+   */
+  imageToDepthField(depthImg) {
+    const { data } = typeof depthImg.getContext === 'function' ?
+      depthImg.getContext('2d').getImageData(0, 0, depthImg.width, depthImg.height) :
+      this.getImageData(depthImg);
+    const field = new Float32Array(depthImg.width * depthImg.height);
+    for (let i = 0; i < field.length; i++) {
+      field[i] = (data[i * 4] / 255) * 100;
+    }
+    return { width: depthImg.width, height: depthImg.height, data: field };
+  }
+
+  /**
+   * 计算引导图亮度 (0-255)
+   * @param {HTMLImageElement} guideImg 引导图像（原图）
+   * @returns {Float32Array} 亮度
+   */
+  getLuminance(guideImg) {
+    const { data } = this.getImageData(guideImg);
+    const luma = new Float32Array(guideImg.width * guideImg.height);
+    for (let i = 0; i < luma.length; i++) {
+      luma[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+    }
+    return luma;
+  }
+
+  /**
+   * 联合双边上采样（Joint Bilateral Upsampling）
+   * 以原图为引导，对低分辨率深度邻域按空间距离和引导图颜色差加权，使深度边缘贴合颜色边缘
+   * @param {{width: number, height: number, data: Float32Array}} field 低分辨率深度场
+   * @param {HTMLImageElement} guideImg 引导图像（原图，目标尺寸）
+   * @param {Object} options 选项
+   * @param {number} options.radius 低分辨率邻域半径（像素）
+   * @param {number} options.sigmaSpatial 空间高斯标准差（低分辨率像素）
+   * @param {number} options.sigmaRange 颜色高斯标准差（亮度 0-255）
+   * @returns {{width: number, height: number, data: Float32Array}} 目标尺寸的深度场
+   */
+  jointBilateralUpsample(field, guideImg, options = {}) {
+    const { radius = 2, sigmaSpatial = 1, sigmaRange = 12 } = options;
+    const { width: lowWidth, height: lowHeight, data: low } = field;
+    const width = guideImg.width;
+    const height = guideImg.height;
+    const guide = this.getLuminance(guideImg);
+    const result = new Float32Array(width * height);
+    const scaleX = lowWidth / width;
+    const scaleY = lowHeight / height;
+
+    console.log(`📐 联合双边上采样: ${lowWidth}×${lowHeight} -> ${width}×${height}`);
+
+    // 颜色权重查找表
+    const rangeLut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      rangeLut[i] = Math.exp(-(i * i) / (2 * sigmaRange * sigmaRange));
+    }
+
+    // 每个低分辨率像素中心对应的引导图位置
+    const guideX = new Int32Array(lowWidth);
+    const guideY = new Int32Array(lowHeight);
+    for (let x = 0; x < lowWidth; x++) guideX[x] = Math.min(width - 1, Math.floor((x + 0.5) / scaleX));
+    for (let y = 0; y < lowHeight; y++) guideY[y] = Math.min(height - 1, Math.floor((y + 0.5) / scaleY));
+
+    const spatialDenominator = 2 * sigmaSpatial * sigmaSpatial;
+
     for (let y = 0; y < height; y++) {
-      const row = [];
+      const sy = (y + 0.5) * scaleY - 0.5;
+      const cy = Math.round(sy);
+
       for (let x = 0; x < width; x++) {
-        const index = (y * width + x) * 4;
-        // 使用R通道作为灰度值，转换为0-100范围的深度值
-        const gray = data[index];
-        const depth = (gray / 255) * 100;
-        row.push(depth);
+        const sx = (x + 0.5) * scaleX - 0.5;
+        const cx = Math.round(sx);
+        const center = guide[y * width + x];
+        let sum = 0;
+        let weightSum = 0;
+
+        for (let qy = Math.max(0, cy - radius); qy <= Math.min(lowHeight - 1, cy + radius); qy++) {
+          const dy = qy - sy;
+          const guideRow = guideY[qy] * width;
+          for (let qx = Math.max(0, cx - radius); qx <= Math.min(lowWidth - 1, cx + radius); qx++) {
+            const dx = qx - sx;
+            const colorDiff = Math.min(255, Math.round(Math.abs(guide[guideRow + guideX[qx]] - center)));
+            const weight = Math.exp(-(dx * dx + dy * dy) / spatialDenominator) * rangeLut[colorDiff];
+            sum += low[qy * lowWidth + qx] * weight;
+            weightSum += weight;
+          }
+        }
+
+        result[y * width + x] = weightSum > 0 ?
+          sum / weightSum :
+          low[Math.min(lowHeight - 1, Math.max(0, cy)) * lowWidth + Math.min(lowWidth - 1, Math.max(0, cx))];
       }
-      depthData.push(row);
     }
-    
+
+    return { ...field, width, height, data: result };
+  }
+
+  /**
+   * 将深度图转换为深度场
+   * @param {HTMLImageElement|HTMLCanvasElement} depthImg 深度图像
+   * @returns {{width: number, height: number, data: Float32Array}} 深度场 (0-100)
+   */
+  convertDepthImageToField(depthImg) {
+    console.log(`🔄 转换深度数据 (${depthImg.width}×${depthImg.height})...`);
+    const field = this.imageToDepthField(depthImg);
     console.log('✓ 深度数据转换完成');
-    return depthData;
+    return field;
   }
 
   /**
-   * 根据深度阈值切分图像
-   * @param {HTMLImageElement} originalImg 原始图像
-   * @param {number[][]} depthData 深度数据数组
-   * @param {number} threshold 深度阈值 (0-100)
-   * @returns {HTMLCanvasElement} 切分后的Canvas
+   * 调整高精度深度场尺寸（保持浮点精度）
+   * @param {{width: number, height: number, data: Float32Array}} field 深度场
+   * @param {number} targetWidth 目标宽度
+   * @param {number} targetHeight 目标高度
+   * @param {string} method 放大方式：bilinear/nearest/guided
+   * @param {HTMLImageElement} guideImg 引导图像（guided 模式需要，尺寸与目标一致）
+   * @returns {{width: number, height: number, data: Float32Array}} 调整后的深度场
    */
-  cutByDepthThreshold(originalImg, depthData, threshold) {
-    const canvas = this.createCanvas(originalImg.width, originalImg.height);
+  resizeDepthField(field, targetWidth, targetHeight, method = 'bilinear', guideImg = null) {
+    if (field.width === targetWidth && field.height === targetHeight) {
+      return field;
+    }
+
+    console.log(`📐 调整高精度深度图尺寸: ${field.width}×${field.height} -> ${targetWidth}×${targetHeight}`);
+
+    if (method === 'guided' && guideImg && this.isUpsampling(field, { width: targetWidth, height: targetHeight })) {
+      return this.jointBilateralUpsample(field, guideImg);
+    }
+
+    return { ...field, ...this.sampleDepthRows(field, targetWidth, targetHeight, 0, targetHeight, method) };
+  }
+
+  /**
+   * 按目标尺寸重采样深度场的部分行（分块处理时逐条生成深度数据）
+   * @param {{width: number, height: number, data: Float32Array}} field 深度场
+   * @param {number} targetWidth 目标宽度
+   * @param {number} targetHeight 目标高度
+   * @param {number} startRow 起始行（目标尺寸下）
+   * @param {number} endRow 结束行（不含）
+   * @param {string} method 插值方式：bilinear/nearest
+   * @returns {{width: number, height: number, data: Float32Array}} 行范围内的深度场
+   */
+  sampleDepthRows(field, targetWidth, targetHeight, startRow, endRow, method = 'bilinear') {
+    const { width, height, data } = field;
+    const rows = endRow - startRow;
+    const result = new Float32Array(targetWidth * rows);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    if (method === 'nearest') {
+      for (let y = startRow; y < endRow; y++) {
+        const sy = Math.min(height - 1, Math.floor((y + 0.5) * scaleY));
+        for (let x = 0; x < targetWidth; x++) {
+          const sx = Math.min(width - 1, Math.floor((x + 0.5) * scaleX));
+          result[(y - startRow) * targetWidth + x] = data[sy * width + sx];
+        }
+      }
+      return { width: targetWidth, height: rows, data: result };
+    }
+
+    for (let y = startRow; y < endRow; y++) {
+      const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+      const y0 = Math.floor(sy);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fy = sy - y0;
+
+      for (let x = 0; x < targetWidth; x++) {
+        const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+        const x0 = Math.floor(sx);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const fx = sx - x0;
+
+        const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+        const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+        result[(y - startRow) * targetWidth + x] = top * (1 - fy) + bottom * fy;
+      }
+    }
+
+    return { width: targetWidth, height: rows, data: result };
+  }
+
+  /**
+   * 将高精度深度场绘制为8位灰度Canvas（仅用于显示）
+   * @param {{width: number, height: number, data: Float32Array}} field 深度场 (0-100)
+   * @returns {HTMLCanvasElement} 灰度Canvas
+   */
+  depthFieldToCanvas(field) {
+    const canvas = this.createCanvas(field.width, field.height);
     const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(field.width, field.height);
+    const data = imageData.data;
+
+    for (let i = 0; i < field.data.length; i++) {
+      const gray = Math.round((field.data[i] / 100) * 255);
+      data[i * 4] = gray;
+      data[i * 4 + 1] = gray;
+      data[i * 4 + 2] = gray;
+      data[i * 4 + 3] = 255;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 计算单个深度值在层级中的覆盖率
+   * @param {number} depth 深度值 (0-100)
+   * @param {{min: number, max: number}} range 层级深度范围
+   * @param {number} featherDepth 深度过渡宽度，0为硬边缘
+   * @returns {number} 覆盖率 (0-255)
+   */
+  depthCoverage(depth, range, featherDepth) {
+    if (featherDepth <= 0) {
+      // 如果深度值不在指定范围内，设置为透明
+      return depth < range.min || depth >= range.max ? 0 : 255;
+    }
     
-    // 绘制原始图像
-    ctx.drawImage(originalImg, 0, 0);
+    // soft模式：以范围边界为中心、宽度为 featherDepth 的线性过渡
+    // 相邻层级在同一边界处的覆盖率之和为1；0和100处不做过渡
+    const low = range.min > 0 ?
+      Math.min(1, Math.max(0, 0.5 + (depth - range.min) / featherDepth)) :
+      (depth >= range.min ? 1 : 0);
+    const high = range.max < 100 ?
+      Math.min(1, Math.max(0, 0.5 + (range.max - depth) / featherDepth)) :
+      (depth <= range.max ? 1 : 0);
+    return Math.round(low * high * 255);
+  }
+
+  /**
+   * 计算逐像素的层级归属表
+   * 所有层级的范围边界（soft模式下含过渡带）把深度轴分成若干区间，每个像素只记录所在区间编号，
+   * 每个区间预先列出覆盖它的层级（硬边缘时精确，soft模式下为可能覆盖的候选层级）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {Array<{min: number, max: number}>} ranges 深度范围数组
+   * @param {number} featherDepth 深度过渡宽度，0为硬边缘
+   * @returns {{bins: Uint16Array, members: number[][]}} 每个像素的区间编号与每个区间的候选层级
+   */
+  computeLayerMembership(depthField, ranges, featherDepth = 0) {
+    const half = featherDepth / 2;
+    const supports = ranges.map(range => ({
+      low: featherDepth > 0 && range.min > 0 ? range.min - half : range.min,
+      high: featherDepth > 0 && range.max < 100 ? range.max + half : range.max
+    }));
     
-    // 获取图像数据
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
+    const boundaries = [...new Set(supports.flatMap(support => [support.low, support.high]))].sort((a, b) => a - b);
     
-    const width = canvas.width;
-    const height = canvas.height;
+    // 区间 k 为 [boundaries[k-1], boundaries[k])，两端区间延伸到无穷
+    // 硬边缘的层级范围同为左闭右开，按半开区间求交即为精确归属；soft模式按闭区间求交，保留端点
+    const members = [];
+    for (let k = 0; k <= boundaries.length; k++) {
+      const low = k > 0 ? boundaries[k - 1] : -Infinity;
+      const high = k < boundaries.length ? boundaries[k] : Infinity;
+      const overlaps = featherDepth > 0 ?
+        (support) => support.low <= high && support.high >= low :
+        (support) => support.low < high && support.high > low;
+      members.push(supports
+        .map((support, index) => (overlaps(support) ? index : -1))
+        .filter(index => index >= 0));
+    }
     
-    // 遍历每个像素，根据深度阈值设置透明度
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const depth = depthData[y][x];
-        const index = (y * width + x) * 4;
-        
-        // 如果深度值小于阈值，设置为透明
-        if (depth < threshold) {
-          data[index + 3] = 0; // Alpha通道设为0（透明）
+    const depth = depthField.data;
+    const bins = new Uint16Array(depth.length);
+    const count = boundaries.length;
+    for (let i = 0; i < depth.length; i++) {
+      // 二分查找第一个大于深度值的边界
+      const value = depth[i];
+      let lo = 0;
+      let hi = count;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (boundaries[mid] <= value) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
         }
       }
+      bins[i] = lo;
     }
     
-    // 将修改后的数据放回Canvas
-    ctx.putImageData(imageData, 0, 0);
+    return { bins, members };
+  }
+
+  /**
+   * 单次扫描计算所有层级共用的归属表，各层级蒙版再由 createLayerMask 逐个生成，不需要同时持有全部蒙版
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {Array<{min: number, max: number}>} ranges 深度范围数组
+   * @param {Object} options 边缘选项
+   * @param {string} options.edgeMode 边缘模式：hard(硬边缘)/soft(按越界深度计算部分透明)
+   * @param {number} options.featherDepth 深度过渡宽度（深度单位，soft模式）
+   * @returns {{bins: Uint16Array, members: number[][], ranges: Array, feather: number, depth: Float32Array}} 归属表
+   */
+  createLayerMembership(depthField, ranges, options = {}) {
+    const { edgeMode = 'hard', featherDepth = 1 } = options;
+    const feather = edgeMode === 'soft' && featherDepth > 0 ? featherDepth : 0;
+    const { bins, members } = this.computeLayerMembership(depthField, ranges, feather);
+    return { bins, members, ranges, feather, depth: depthField.data };
+  }
+
+  /**
+   * 由归属表生成单个层级的覆盖率蒙版
+   * @param {Object} membership createLayerMembership 的结果
+   * @param {number} layer 层级在 ranges 中的位置
+   * @returns {Uint8ClampedArray} 覆盖率蒙版 (0-255)
+   */
+  createLayerMask(membership, layer) {
+    const { bins, members, ranges, feather, depth } = membership;
+    const inBin = Uint8Array.from(members, candidates => (candidates.includes(layer) ? 1 : 0));
+    const range = ranges[layer];
+    const mask = new Uint8ClampedArray(bins.length);
     
-    return canvas;
+    for (let i = 0; i < bins.length; i++) {
+      if (!inBin[bins[i]]) continue;
+      mask[i] = feather === 0 ? 255 : this.depthCoverage(depth[i], range, feather);
+    }
+    
+    return mask;
   }
 
   /**
-   * 根据深度范围切分图像
-   * @param {HTMLImageElement} originalImg 原始图像
-   * @param {number[][]} depthData 深度数据数组
-   * @param {number} minDepth 最小深度值 (0-100)
-   * @param {number} maxDepth 最大深度值 (0-100)
-   * @returns {HTMLCanvasElement} 切分后的Canvas
+   * 层级蒙版空间外扩（粘合边），使相邻层级叠放时互相压住、不露缝隙
+   * @param {Uint8ClampedArray} mask 覆盖率蒙版 (0-255)
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {number} minDepth 层级最小深度值 (0-100)
+   * @param {Object} options 外扩选项
+   * @param {number} options.glueRadius 外扩半径（像素）
+   * @param {string} options.glueShape 结构元素形状：circle/square
+   * @param {boolean} options.glueFartherOnly 只向更远的相邻区域（深度小于 minDepth）外扩
+   * @returns {{mask: Uint8ClampedArray, added: number}} 外扩后的蒙版与新增像素数
    */
-  cutByDepthRange(originalImg, depthData, minDepth, maxDepth) {
-    const canvas = this.createCanvas(originalImg.width, originalImg.height);
-    const ctx = canvas.getContext('2d');
+  growDepthMask(mask, depthField, minDepth, options = {}) {
+    const { glueRadius = 0, glueShape = 'circle', glueFartherOnly = false } = options;
+    const { width, height, data } = depthField;
     
-    // 绘制原始图像
-    ctx.drawImage(originalImg, 0, 0);
+    let allowed = null;
+    if (glueFartherOnly) {
+      allowed = new Uint8Array(width * height);
+      for (let i = 0; i < data.length; i++) {
+        // 深度值越小越远
+        if (data[i] < minDepth) allowed[i] = 1;
+      }
+    }
     
-    // 获取图像数据
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return this.maskProcessor.growMask(mask, width, height, glueRadius, { shape: glueShape, allowed });
+  }
+
+  /**
+   * 将蒙版应用到已解码的原图像素（不修改原像素，多个层级可复用同一份解码结果）
+   * @param {ImageData} source 原图像素数据
+   * @param {Uint8ClampedArray} mask 覆盖率蒙版 (0-255)
+   * @returns {HTMLCanvasElement} 应用蒙版后的Canvas
+   */
+  applyMaskToImageData(source, mask) {
+    const canvas = this.createCanvas(source.width, source.height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(source.width, source.height);
     const data = imageData.data;
+    data.set(source.data);
     
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // 遍历每个像素，根据深度范围设置透明度
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const depth = depthData[y][x];
-        const index = (y * width + x) * 4;
-        
-        // 如果深度值不在指定范围内，设置为透明
-        if (depth < minDepth || depth >= maxDepth) {
-          data[index + 3] = 0; // Alpha通道设为0（透明）
-        }
-      }
+    // 覆盖率与原图Alpha相乘
+    for (let i = 0; i < mask.length; i++) {
+      data[i * 4 + 3] = Math.round((data[i * 4 + 3] * mask[i]) / 255);
     }
     
-    // 将修改后的数据放回Canvas
     ctx.putImageData(imageData, 0, 0);
-    
     return canvas;
   }
 
@@ -261,6 +545,10 @@ class BrowserImageProcessor {
    * @returns {Promise<Blob>} Blob对象
    */
   async canvasToBlob(canvas, type = 'image/png', quality = 0.9) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type, quality });
+    }
+    
     return new Promise((resolve, reject) => {
       canvas.toBlob((blob) => {
         if (blob) {
@@ -283,6 +571,18 @@ class BrowserImageProcessor {
     return canvas.toDataURL(type, quality);
   }
 
+  /**
+   * 将ImageBitmap绘制到新的Canvas上并释放位图
+   * @param {ImageBitmap} bitmap 位图
+   * @returns {HTMLCanvasElement} Canvas元素
+   */
+  bitmapToCanvas(bitmap) {
+    const canvas = this.createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas;
+  }
+
   /**
    * 下载Canvas为文件
    * @param {HTMLCanvasElement} canvas Canvas元素
@@ -291,6 +591,15 @@ class BrowserImageProcessor {
    */
   async downloadCanvas(canvas, filename, type = 'image/png') {
     const blob = await this.canvasToBlob(canvas, type);
+    this.downloadBlob(blob, filename);
+  }
+
+  /**
+   * 下载Blob为文件
+   * @param {Blob} blob 文件内容
+   * @param {string} filename 文件名
+   */
+  downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
@@ -402,6 +711,123 @@ class BrowserImageProcessor {
 
     return newCanvas;
   }
+
+  /**
+   * 用纯色填充蒙版覆盖的像素（如连接桥）
+   * @param {HTMLCanvasElement} canvas Canvas元素（原地修改）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)，非0像素被填充
+   * @param {string} color 颜色（#rrggbb）
+   * @returns {HTMLCanvasElement} 填充后的Canvas
+   */
+  fillMask(canvas, mask, color = '#000000') {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+    const r = parseInt(color.slice(1, 3), 16);
+    const g = parseInt(color.slice(3, 5), 16);
+    const b = parseInt(color.slice(5, 7), 16);
+
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === 0) continue;
+      data[i * 4] = r;
+      data[i * 4 + 1] = g;
+      data[i * 4 + 2] = b;
+      data[i * 4 + 3] = 255;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 沿不透明形状绘制轮廓描边（基于Alpha的距离变换，带抗锯齿）
+   * @param {HTMLCanvasElement} canvas Canvas元素（原地修改）
+   * @param {Object} options 描边选项
+   * @param {number} options.outlineWidth 描边宽度（像素），0为不描边
+   * @param {string} options.outlineColor 描边颜色（#rrggbb）
+   * @param {string} options.outlinePosition 描边位置：outside(外侧)/inside(内侧)/center(居中)
+   * @returns {HTMLCanvasElement} 描边后的Canvas
+   */
+  drawOutline(canvas, options = {}) {
+    const { outlineWidth = 0, outlineColor = '#ffffff', outlinePosition = 'outside' } = options;
+    if (outlineWidth <= 0) return canvas;
+
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    const count = width * height;
+
+    const shape = new Uint8Array(count);
+    const background = new Uint8Array(count);
+    let opaque = 0;
+    for (let i = 0; i < count; i++) {
+      if (data[i * 4 + 3] >= 128) {
+        shape[i] = 1;
+        opaque++;
+      } else {
+        background[i] = 1;
+      }
+    }
+    if (opaque === 0) return canvas;
+
+    // 有符号距离：外侧为正、内侧为负，像素中心到形状边界约差半个像素
+    const outside = this.maskProcessor.distanceTransform(shape, width, height);
+    const inside = this.maskProcessor.distanceTransform(background, width, height);
+
+    // 描边带在有符号距离上的区间
+    let bandStart = 0;
+    let bandEnd = outlineWidth;
+    if (outlinePosition === 'inside') {
+      bandStart = -outlineWidth;
+      bandEnd = 0;
+    } else if (outlinePosition === 'center') {
+      bandStart = -outlineWidth / 2;
+      bandEnd = outlineWidth / 2;
+    }
+
+    const r = parseInt(outlineColor.slice(1, 3), 16);
+    const g = parseInt(outlineColor.slice(3, 5), 16);
+    const b = parseInt(outlineColor.slice(5, 7), 16);
+
+    for (let i = 0; i < count; i++) {
+      const distance = shape[i] ? 0.5 - Math.sqrt(inside[i]) : Math.sqrt(outside[i]) - 0.5;
+      const coverage = Math.min(1, Math.max(0, Math.min(distance - bandStart, bandEnd - distance) + 0.5));
+      if (coverage === 0) continue;
+
+      // 描边颜色按覆盖率叠加在原像素之上
+      const alpha = data[i * 4 + 3] / 255;
+      const outAlpha = coverage + alpha * (1 - coverage);
+      data[i * 4] = Math.round((r * coverage + data[i * 4] * alpha * (1 - coverage)) / outAlpha);
+      data[i * 4 + 1] = Math.round((g * coverage + data[i * 4 + 1] * alpha * (1 - coverage)) / outAlpha);
+      data[i * 4 + 2] = Math.round((b * coverage + data[i * 4 + 2] * alpha * (1 - coverage)) / outAlpha);
+      data[i * 4 + 3] = Math.round(outAlpha * 255);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 为不透明形状添加投影
+   * @param {HTMLCanvasElement} canvas Canvas元素
+   * @param {number} distance 投影偏移与模糊半径（像素）
+   * @param {string} color 投影颜色（CSS颜色）
+   * @returns {HTMLCanvasElement} 带投影的新Canvas，尺寸不变
+   */
+  addDropShadow(canvas, distance, color = 'rgba(0, 0, 0, 0.5)') {
+    if (distance <= 0) return canvas;
+
+    const newCanvas = this.createCanvas(canvas.width, canvas.height);
+    const ctx = newCanvas.getContext('2d');
+    ctx.shadowColor = color;
+    ctx.shadowBlur = distance;
+    ctx.shadowOffsetX = distance;
+    ctx.shadowOffsetY = distance;
+    ctx.drawImage(canvas, 0, 0);
+
+    return newCanvas;
+  }
 }
 
 // 导出类
@@ -0,0 +1,148 @@
+/**
+ * BrowserInpainter - 浏览器端背景补全
+ * 用多分辨率扩散（Push-Pull）从同层已知像素向被遮挡区域填充颜色，纯CPU计算
+ */
+
+class BrowserInpainter {
+  /**
+   * Push-Pull 扩散补全
+   * 已知像素按权重逐级下采样（Pull），再由粗到细把颜色填回权重不足的位置（Push）
+   * @param {Float32Array} colors 预乘权重的颜色，每像素3个通道
+   * @param {Float32Array} weights 每像素权重 (0-1)，0 表示未知
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @returns {Float32Array} 补全后的颜色（每像素3个通道，未预乘）
+   */
+  pushPull(colors, weights, width, height) {
+    // Pull：构建金字塔
+    const levels = [{ colors, weights, width, height }];
+    while (levels[levels.length - 1].width > 1 || levels[levels.length - 1].height > 1) {
+      const fine = levels[levels.length - 1];
+      const w = Math.max(1, Math.ceil(fine.width / 2));
+      const h = Math.max(1, Math.ceil(fine.height / 2));
+      const coarseColors = new Float32Array(w * h * 3);
+      const coarseWeights = new Float32Array(w * h);
+
+      for (let y = 0; y < fine.height; y++) {
+        for (let x = 0; x < fine.width; x++) {
+          const i = y * fine.width + x;
+          const j = (y >> 1) * w + (x >> 1);
+          coarseWeights[j] += fine.weights[i];
+          coarseColors[j * 3] += fine.colors[i * 3];
+          coarseColors[j * 3 + 1] += fine.colors[i * 3 + 1];
+          coarseColors[j * 3 + 2] += fine.colors[i * 3 + 2];
+        }
+      }
+
+      // 权重截断到1，保持预乘颜色与权重成比例
+      for (let j = 0; j < w * h; j++) {
+        if (coarseWeights[j] > 1) {
+          const scale = 1 / coarseWeights[j];
+          coarseColors[j * 3] *= scale;
+          coarseColors[j * 3 + 1] *= scale;
+          coarseColors[j * 3 + 2] *= scale;
+          coarseWeights[j] = 1;
+        }
+      }
+
+      levels.push({ colors: coarseColors, weights: coarseWeights, width: w, height: h });
+    }
+
+    // 最粗一级归一化
+    const top = levels[levels.length - 1];
+    for (let j = 0; j < top.width * top.height; j++) {
+      if (top.weights[j] > 0) {
+        const scale = 1 / top.weights[j];
+        top.colors[j * 3] *= scale;
+        top.colors[j * 3 + 1] *= scale;
+        top.colors[j * 3 + 2] *= scale;
+        top.weights[j] = 1;
+      }
+    }
+
+    // Push：由粗到细，用上一级的双线性插值补足权重
+    for (let level = levels.length - 2; level >= 0; level--) {
+      const fine = levels[level];
+      const coarse = levels[level + 1];
+
+      for (let y = 0; y < fine.height; y++) {
+        const cy = Math.min(coarse.height - 1, Math.max(0, (y + 0.5) / 2 - 0.5));
+        const y0 = Math.floor(cy);
+        const y1 = Math.min(coarse.height - 1, y0 + 1);
+        const fy = cy - y0;
+
+        for (let x = 0; x < fine.width; x++) {
+          const i = y * fine.width + x;
+          const missing = 1 - fine.weights[i];
+          if (missing <= 0) continue;
+
+          const cx = Math.min(coarse.width - 1, Math.max(0, (x + 0.5) / 2 - 0.5));
+          const x0 = Math.floor(cx);
+          const x1 = Math.min(coarse.width - 1, x0 + 1);
+          const fx = cx - x0;
+
+          for (let c = 0; c < 3; c++) {
+            const topValue = coarse.colors[(y0 * coarse.width + x0) * 3 + c] * (1 - fx) +
+              coarse.colors[(y0 * coarse.width + x1) * 3 + c] * fx;
+            const bottomValue = coarse.colors[(y1 * coarse.width + x0) * 3 + c] * (1 - fx) +
+              coarse.colors[(y1 * coarse.width + x1) * 3 + c] * fx;
+            fine.colors[i * 3 + c] += missing * (topValue * (1 - fy) + bottomValue * fy);
+          }
+          fine.weights[i] = 1;
+        }
+      }
+    }
+
+    return levels[0].colors;
+  }
+
+  /**
+   * 补全被遮挡区域
+   * @param {ImageData} imageData 层级图像数据（原地修改）
+   * @param {Uint8Array} fillMask 需要补全的像素标记（非0为需要补全）
+   * @returns {number} 补全的像素数量，无可用的已知像素时为 0
+   */
+  inpaint(imageData, fillMask) {
+    const { width, height, data } = imageData;
+    const count = width * height;
+    const colors = new Float32Array(count * 3);
+    const weights = new Float32Array(count);
+    let known = 0;
+
+    // 已知像素：本层的可见像素，按Alpha加权
+    for (let i = 0; i < count; i++) {
+      const weight = data[i * 4 + 3] / 255;
+      if (weight === 0) continue;
+      weights[i] = weight;
+      colors[i * 3] = data[i * 4] * weight;
+      colors[i * 3 + 1] = data[i * 4 + 1] * weight;
+      colors[i * 3 + 2] = data[i * 4 + 2] * weight;
+      known++;
+    }
+    if (known === 0) return 0;
+
+    const filled = this.pushPull(colors, weights, width, height);
+
+    // 只写回需要补全的像素，半透明边缘与补全颜色混合
+    let pixels = 0;
+    for (let i = 0; i < count; i++) {
+      if (!fillMask[i]) continue;
+      const alpha = data[i * 4 + 3] / 255;
+      if (alpha >= 1) continue;
+      data[i * 4] = Math.round(data[i * 4] * alpha + filled[i * 3] * (1 - alpha));
+      data[i * 4 + 1] = Math.round(data[i * 4 + 1] * alpha + filled[i * 3 + 1] * (1 - alpha));
+      data[i * 4 + 2] = Math.round(data[i * 4 + 2] * alpha + filled[i * 3 + 2] * (1 - alpha));
+      data[i * 4 + 3] = 255;
+      pixels++;
+    }
+
+    return pixels;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrowserInpainter;
+} else {
+  window.BrowserInpainter = BrowserInpainter;
+}
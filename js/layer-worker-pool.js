@@ -0,0 +1,239 @@
+/**
+ * LayerWorkerPool - 层级处理Worker池
+ * 把预处理与逐层渲染分发到多个 layer-worker.js 中执行，主线程只负责接收结果，界面与3D预览保持响应
+ */
+
+class LayerWorkerPool {
+  /**
+   * @param {number} size Worker数量
+   * @param {string} scriptUrl Worker脚本路径
+   * @param {number} maxInputBytes 各Worker所持输入副本的总字节上限，大图时减少并行的Worker数量
+   */
+  constructor(size = LayerWorkerPool.getDefaultSize(), scriptUrl = 'js/layer-worker.js', maxInputBytes = 256 * 1024 * 1024) {
+    this.size = Math.max(1, size);
+    this.scriptUrl = scriptUrl;
+    this.maxInputBytes = maxInputBytes;
+    this.workers = [];
+    this.workerInputKeys = new Map(); // 各Worker已缓存的输入键
+  }
+
+  /**
+   * 当前环境是否支持Worker池（需要 Worker、OffscreenCanvas 与 createImageBitmap；file:// 下无法加载Worker脚本）
+   * @returns {boolean} 是否支持
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined' &&
+      typeof location !== 'undefined' &&
+      location.protocol !== 'file:';
+  }
+
+  /**
+   * 默认Worker数量：保留一个核心给主线程，最多4个
+   * @returns {number} Worker数量
+   */
+  static getDefaultSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+  }
+
+  /**
+   * 获取指定数量的Worker（按需创建，之后复用）
+   * @param {number} count 数量
+   * @returns {Array<Worker>} Worker数组
+   */
+  getWorkers(count) {
+    while (this.workers.length < count) {
+      this.workers.push(new Worker(this.scriptUrl));
+    }
+    return this.workers.slice(0, count);
+  }
+
+  /**
+   * 终止超出数量的Worker，释放它们缓存的输入
+   * @param {number} count 保留的数量
+   */
+  releaseWorkers(count) {
+    this.workers.splice(count).forEach(worker => {
+      worker.terminate();
+      this.workerInputKeys.delete(worker);
+    });
+  }
+
+  /**
+   * 根据输入大小计算渲染使用的Worker数量：每个Worker各持一份原图像素与深度场
+   * @param {ImageData} originalPixels 原图像素
+   * @param {Object} depthField 深度场
+   * @param {number} layerCount 待渲染的层级数
+   * @returns {number} Worker数量
+   */
+  getRenderWorkerCount(originalPixels, depthField, layerCount) {
+    const inputBytes = originalPixels.data.byteLength + depthField.data.byteLength;
+    const affordable = Math.floor(this.maxInputBytes / inputBytes);
+    return Math.max(1, Math.min(this.size, layerCount, affordable));
+  }
+
+  /**
+   * 向Worker发送任务并等待完成
+   * @param {Worker} worker Worker
+   * @param {Object} message 消息
+   * @param {Array<Transferable>} transfer 转移的对象
+   * @param {Function} onMessage 中间消息回调（progress、layer）
+   * @param {AbortSignal} signal 取消信号，取消时终止所有Worker（下次使用时重新创建）
+   * @returns {Promise<Object>} 完成消息
+   */
+  runTask(worker, message, transfer = [], onMessage = null, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('处理已取消', 'AbortError'));
+        return;
+      }
+      const onAbort = () => {
+        this.terminate();
+        reject(new DOMException('处理已取消', 'AbortError'));
+      };
+      const finish = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      
+      worker.onmessage = (e) => {
+        const data = e.data;
+        if (data.type === 'done') {
+          finish();
+          resolve(data);
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(data.message));
+        } else if (onMessage) {
+          onMessage(data);
+        }
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        finish();
+        reject(new Error(e.message || 'Worker加载失败'));
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      worker.postMessage(message, transfer);
+    });
+  }
+
+  /**
+   * 在Worker中加载并预处理输入
+   * @param {Object} config 切分器参数 { layerCount, depthOverlap, borderWidth, options }
+   * @param {File} imageFile 原始图片文件
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号
+   * @returns {Promise<{originalPixels: ImageData, depthField: Object, depthRanges: Array, renderScale: number}>} 预处理结果
+   */
+  async prepare(config, imageFile, depthSource, onProgress = null, signal = null) {
+    const [worker] = this.getWorkers(1);
+    const result = await this.runTask(worker, { type: 'prepare', config, imageFile, depthSource }, [], (data) => {
+      if (data.type === 'progress' && onProgress) onProgress(data.percent, data.message);
+    }, signal);
+    return {
+      originalPixels: result.originalPixels,
+      depthField: result.depthField,
+      depthRanges: result.depthRanges,
+      renderScale: result.renderScale
+    };
+  }
+
+  /**
+   * 把层级轮流分配给各Worker并行渲染，Worker数量受输入副本的内存上限约束
+   * 输入带缓存键时，Worker保留一份副本，之后相同键的渲染不再传输像素；
+   * 不带缓存键时，最后一个Worker接收转移的缓冲区，其余Worker接收副本，调用后 originalPixels 与 depthField 不可再使用
+   * @param {Object} config 切分器参数
+   * @param {Array<{min: number, max: number}>} depthRanges 深度范围
+   * @param {{key: string|null, originalPixels: ImageData, depthField: Object, renderScale: number}} inputs 原图像素、深度场、处理分辨率比例与缓存键
+   * @param {Array<number>} indices 层级索引
+   * @param {Function} onStep 子步骤回调 (index, fraction, message)
+   * @param {Function} onLayer 层级完成回调 (index, layer)
+   * @param {AbortSignal} signal 取消信号
+   */
+  async render(config, depthRanges, inputs, indices, onStep, onLayer, signal = null) {
+    const { key, originalPixels, depthField, renderScale } = inputs;
+    const count = this.getRenderWorkerCount(originalPixels, depthField, indices.length);
+    this.releaseWorkers(count);
+    const workers = this.getWorkers(count);
+    const pending = [];
+
+    const tasks = workers.map((worker, w) => {
+      const assigned = indices.filter((index, k) => k % workers.length === w);
+      const message = { type: 'render', config, depthRanges, renderScale, inputKey: key, indices: assigned };
+      let transfer = [];
+      if (!key || this.workerInputKeys.get(worker) !== key) {
+        message.originalPixels = originalPixels;
+        message.depthField = depthField;
+        // Worker收到新输入后丢弃原有缓存
+        this.workerInputKeys.delete(worker);
+        if (!key && w === workers.length - 1) {
+          transfer = [originalPixels.data.buffer, depthField.data.buffer];
+        }
+      }
+
+      return this.runTask(worker, message, transfer, (data) => {
+        if (data.type === 'progress') {
+          onStep(data.index, data.fraction, data.message);
+        } else if (data.type === 'layer') {
+          pending.push(onLayer(data.index, {
+            blob: data.blob,
+            previewBlob: data.previewBlob,
+            stencilBlob: data.stencilBlob,
+            stats: data.stats
+          }));
+        }
+      }, signal).then(() => {
+        if (key) this.workerInputKeys.set(worker, key);
+      });
+    });
+
+    try {
+      await Promise.all(tasks);
+    } catch (error) {
+      // 任一Worker失败时终止其余Worker，不再占用内存与CPU
+      this.terminate();
+      throw error;
+    }
+    await Promise.all(pending);
+  }
+
+  /**
+   * 在单个Worker中执行分块处理（条带依次处理，内存占用与图像尺寸无关）
+   * @param {Object} config 切分器参数
+   * @param {File} imageFile 原始图片文件
+   * @param {string|File} depthSource 深度图源（Data URL或文件）
+   * @param {Function} onProgress 进度回调
+   * @param {AbortSignal} signal 取消信号
+   * @returns {Promise<{layers: Array, depthRanges: Array, sourceWidth: number}>} 各层级 { blob, previewBlob, textureBlob, stats }、深度范围与原图宽度
+   */
+  async renderTiled(config, imageFile, depthSource, onProgress = null, signal = null) {
+    const [worker] = this.getWorkers(1);
+    const result = await this.runTask(worker, { type: 'tiled', config, imageFile, depthSource }, [], (data) => {
+      if (data.type === 'progress' && onProgress) onProgress(data.percent, data.message);
+    }, signal);
+    return {
+      layers: result.layers,
+      depthRanges: result.depthRanges,
+      sourceWidth: result.sourceWidth
+    };
+  }
+
+  /**
+   * 终止所有Worker
+   */
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.workerInputKeys.clear();
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LayerWorkerPool;
+} else {
+  window.LayerWorkerPool = LayerWorkerPool;
+}
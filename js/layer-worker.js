@@ -0,0 +1,120 @@
+/**
+ * LayerWorker - 层级处理Worker
+ * 在后台线程中用OffscreenCanvas完成深度转换、切分、加边框与PNG编码（含分块处理），由 LayerWorkerPool 调度
+ */
+
+// 各模块以 window.X 导出，Worker中把 window 指向全局作用域
+self.window = self;
+
+importScripts(
+  'mask-processor.js',
+  'image-processor.js',
+  'depth-decoder.js',
+  'depth-analyzer.js',
+  'depth-remapper.js',
+  'depth-filter.js',
+  'superpixel.js',
+  'inpainter.js',
+  'paper-palette.js',
+  'vector-exporter.js',
+  'png-stream-encoder.js',
+  'depth-cutter.js'
+);
+
+// 最近一次渲染的输入 { key, originalPixels, depthField }，相同键的渲染不再重复传输
+let cachedInputs = null;
+
+/**
+ * 按主线程传来的参数重建切分器
+ * @param {Object} config 切分器参数 { layerCount, depthOverlap, borderWidth, options }
+ * @returns {BrowserDepthCutter} 切分器
+ */
+function createCutter(config) {
+  return new BrowserDepthCutter(config.layerCount, config.depthOverlap, config.borderWidth, config.options);
+}
+
+/**
+ * 预处理：解码输入并计算层级分界，像素与深度缓冲区转移回主线程
+ * @param {Object} message 消息 { config, imageFile, depthSource }
+ */
+async function handlePrepare(message) {
+  const cutter = createCutter(message.config);
+  const { originalPixels, depthField } = await cutter.prepare(message.imageFile, message.depthSource, (percent, text) => {
+    self.postMessage({ type: 'progress', percent, message: text });
+  });
+
+  self.postMessage({
+    type: 'done',
+    originalPixels,
+    depthField,
+    depthRanges: cutter.depthRanges,
+    renderScale: cutter.renderScale
+  }, [originalPixels.data.buffer, depthField.data.buffer]);
+}
+
+/**
+ * 渲染分配给本Worker的层级，每完成一层立即传回
+ * @param {Object} message 消息 { config, depthRanges, renderScale, inputKey, originalPixels, depthField, indices }，未附带像素时使用缓存的输入
+ */
+async function handleRender(message) {
+  let { originalPixels, depthField } = message;
+  if (originalPixels) {
+    cachedInputs = message.inputKey ? { key: message.inputKey, originalPixels, depthField } : null;
+  } else {
+    if (!cachedInputs || cachedInputs.key !== message.inputKey) {
+      throw new Error('Worker缓存的输入已失效');
+    }
+    ({ originalPixels, depthField } = cachedInputs);
+  }
+
+  const cutter = createCutter(message.config);
+  cutter.depthRanges = message.depthRanges;
+  cutter.applyRenderScale(message.renderScale);
+  cutter.sourceWidth = originalPixels.width;
+
+  await cutter.renderLayers(originalPixels, depthField, message.indices, (index, fraction, text) => {
+    self.postMessage({ type: 'progress', index, fraction, message: text });
+  }, async (index, layer) => {
+    const transfer = layer.stats.paperLabels ? [layer.stats.paperLabels.buffer] : [];
+    self.postMessage({
+      type: 'layer',
+      index,
+      blob: layer.blob,
+      previewBlob: layer.previewBlob,
+      stencilBlob: layer.stencilBlob,
+      stats: layer.stats
+    }, transfer);
+  });
+
+  self.postMessage({ type: 'done' });
+}
+
+/**
+ * 分块处理：逐条带渲染全部层级，传回编码好的PNG与缩小的纹理
+ * @param {Object} message 消息 { config, imageFile, depthSource }
+ */
+async function handleTiled(message) {
+  const cutter = createCutter(message.config);
+  const { layers, depthRanges, sourceWidth } = await cutter.renderTiled(message.imageFile, message.depthSource, (percent, text) => {
+    self.postMessage({ type: 'progress', percent, message: text });
+  });
+
+  self.postMessage({ type: 'done', layers, depthRanges, sourceWidth });
+}
+
+self.onmessage = async (e) => {
+  try {
+    if (e.data.type === 'prepare') {
+      await handlePrepare(e.data);
+    } else if (e.data.type === 'render') {
+      await handleRender(e.data);
+    } else if (e.data.type === 'tiled') {
+      await handleTiled(e.data);
+    } else {
+      throw new Error(`未知的消息类型: ${e.data.type}`);
+    }
+  } catch (error) {
+    console.error('❌ Worker处理失败:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
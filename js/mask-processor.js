@@ -0,0 +1,597 @@
+/**
+ * BrowserMaskProcessor - 浏览器版图层蒙版处理器
+ * 对层级的Alpha蒙版进行最小特征宽度、连通域清理、连接桥生成、羽化等后处理
+ */
+
+class BrowserMaskProcessor {
+  /**
+   * 提取ImageData的Alpha通道
+   * @param {ImageData} imageData 图像数据
+   * @returns {Uint8ClampedArray} Alpha蒙版 (0-255)
+   */
+  extractAlpha(imageData) {
+    const { data } = imageData;
+    const alpha = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0; i < alpha.length; i++) {
+      alpha[i] = data[i * 4 + 3];
+    }
+    return alpha;
+  }
+
+  /**
+   * 将Alpha蒙版写回ImageData
+   * @param {ImageData} imageData 图像数据
+   * @param {Uint8ClampedArray} alpha Alpha蒙版 (0-255)
+   */
+  applyAlpha(imageData, alpha) {
+    const { data } = imageData;
+    for (let i = 0; i < alpha.length; i++) {
+      data[i * 4 + 3] = alpha[i];
+    }
+  }
+
+  /**
+   * 连通域标记（区域生长，显式栈避免递归溢出）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {Function} isMember 判断像素是否参与标记 (value) => boolean
+   * @param {number} connectivity 连通性：4 或 8
+   * @returns {{labels: Int32Array, count: number, areas: number[], touchesBorder: boolean[]}}
+   *   labels 中 0 表示未参与，连通域编号从 1 开始；areas/touchesBorder 以编号为下标
+   */
+  labelComponents(mask, width, height, isMember, connectivity = 8) {
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    const areas = [0];
+    const touchesBorder = [false];
+    const offsets = connectivity === 8 ?
+      [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]] :
+      [[0, -1], [-1, 0], [1, 0], [0, 1]];
+    let count = 0;
+
+    for (let start = 0; start < labels.length; start++) {
+      if (labels[start] !== 0 || !isMember(mask[start])) continue;
+
+      count++;
+      let area = 0;
+      let border = false;
+      let top = 0;
+      stack[top++] = start;
+      labels[start] = count;
+
+      while (top > 0) {
+        const index = stack[--top];
+        const x = index % width;
+        const y = (index - x) / width;
+        area++;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) border = true;
+
+        for (const [dx, dy] of offsets) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const next = ny * width + nx;
+          if (labels[next] !== 0 || !isMember(mask[next])) continue;
+          labels[next] = count;
+          stack[top++] = next;
+        }
+      }
+
+      areas.push(area);
+      touchesBorder.push(border);
+    }
+
+    return { labels, count, areas, touchesBorder };
+  }
+
+  /**
+   * 移除面积过小的孤岛（8连通的可见像素）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} minArea 最小面积（像素），小于该值的孤岛被移除
+   * @returns {{mask: Uint8ClampedArray, removed: number}} 处理后的蒙版与移除数量
+   */
+  removeIslands(mask, width, height, minArea) {
+    if (minArea <= 0) return { mask, removed: 0 };
+
+    const { labels, count, areas } = this.labelComponents(mask, width, height, value => value > 0, 8);
+    const drop = new Uint8Array(count + 1);
+    let removed = 0;
+    for (let label = 1; label <= count; label++) {
+      if (areas[label] < minArea) {
+        drop[label] = 1;
+        removed++;
+      }
+    }
+
+    const result = new Uint8ClampedArray(mask);
+    if (removed > 0) {
+      for (let i = 0; i < result.length; i++) {
+        if (drop[labels[i]]) result[i] = 0;
+      }
+    }
+
+    return { mask: result, removed };
+  }
+
+  /**
+   * 填充面积过小的孔洞（4连通的完全透明区域，且不接触图像边缘）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} minArea 最小面积（像素），小于该值的孔洞被填充
+   * @returns {{mask: Uint8ClampedArray, filled: number}} 处理后的蒙版与填充数量
+   */
+  fillHoles(mask, width, height, minArea) {
+    if (minArea <= 0) return { mask, filled: 0 };
+
+    const { labels, count, areas, touchesBorder } = this.labelComponents(mask, width, height, value => value === 0, 4);
+    const fill = new Uint8Array(count + 1);
+    let filled = 0;
+    for (let label = 1; label <= count; label++) {
+      if (!touchesBorder[label] && areas[label] < minArea) {
+        fill[label] = 1;
+        filled++;
+      }
+    }
+
+    const result = new Uint8ClampedArray(mask);
+    if (filled > 0) {
+      for (let i = 0; i < result.length; i++) {
+        if (fill[labels[i]]) result[i] = 255;
+      }
+    }
+
+    return { mask: result, filled };
+  }
+
+  /**
+   * 生成连接桥：将互不相连的区域连接到边框（图像边缘）或最近的区域
+   * 以可见像素为源做多源广度优先扩展（近似Voronoi），在相邻区域交界处得到候选连接，
+   * 再用 Kruskal 最小生成树选出总长度最短的一组桥
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {Object} options 选项
+   * @param {number} options.bridgeWidth 桥宽度（像素）
+   * @param {boolean} options.connectToFrame 是否可以连接到边框
+   * @returns {{bridgeMask: Uint8ClampedArray, count: number}} 桥蒙版与桥数量
+   */
+  generateBridges(mask, width, height, options = {}) {
+    const { bridgeWidth = 4, connectToFrame = true } = options;
+    const bridgeMask = new Uint8ClampedArray(width * height);
+    const { labels, count, touchesBorder } = this.labelComponents(mask, width, height, value => value > 0, 8);
+    if (count === 0 || (count === 1 && (!connectToFrame || touchesBorder[1]))) {
+      return { bridgeMask, count: 0 };
+    }
+
+    const edges = [];
+    const pairs = new Map();
+    const addEdge = (a, b, from, to, distance) => {
+      if (a > b) [a, b, from, to] = [b, a, to, from];
+      const key = a * (count + 1) + b;
+      const existing = pairs.get(key);
+      if (!existing || distance < existing.distance) {
+        pairs.set(key, { a, b, from, to, distance });
+      }
+    };
+
+    // 到边框的候选连接（节点 0 表示边框）
+    if (connectToFrame) {
+      const best = new Array(count + 1).fill(null);
+      for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (label === 0) continue;
+        const x = i % width;
+        const y = (i - x) / width;
+        const distance = Math.min(x, y, width - 1 - x, height - 1 - y);
+        if (!best[label] || distance < best[label].distance) {
+          let to;
+          if (distance === x) to = y * width;
+          else if (distance === width - 1 - x) to = y * width + width - 1;
+          else if (distance === y) to = x;
+          else to = (height - 1) * width + x;
+          best[label] = { from: i, to, distance };
+        }
+      }
+      for (let label = 1; label <= count; label++) {
+        const { from, to, distance } = best[label];
+        addEdge(0, label, to, from, touchesBorder[label] ? 0 : distance);
+      }
+    }
+
+    // 多源扩展：记录每个透明像素最近的可见像素
+    const source = new Int32Array(width * height).fill(-1);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] !== 0) {
+        source[i] = i;
+        queue[tail++] = i;
+      }
+    }
+
+    const distanceBetween = (a, b) => {
+      const ax = a % width;
+      const bx = b % width;
+      return Math.hypot(ax - bx, (a - ax) / width - (b - bx) / width);
+    };
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+      const from = source[index];
+      const label = labels[from];
+
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbors) {
+        if (next === -1) continue;
+        if (source[next] === -1) {
+          source[next] = from;
+          queue[tail++] = next;
+        } else {
+          const otherLabel = labels[source[next]];
+          if (otherLabel !== label) {
+            addEdge(label, otherLabel, from, source[next], distanceBetween(from, source[next]));
+          }
+        }
+      }
+    }
+
+    pairs.forEach(edge => edges.push(edge));
+    edges.sort((a, b) => a.distance - b.distance);
+
+    // Kruskal：并查集合并，接触边框的区域无需画桥
+    const parent = new Int32Array(count + 1);
+    for (let i = 0; i <= count; i++) parent[i] = i;
+    const find = (node) => {
+      while (parent[node] !== node) {
+        parent[node] = parent[parent[node]];
+        node = parent[node];
+      }
+      return node;
+    };
+
+    let bridges = 0;
+    for (const edge of edges) {
+      const rootA = find(edge.a);
+      const rootB = find(edge.b);
+      if (rootA === rootB) continue;
+      parent[rootA] = rootB;
+      if (edge.distance > 0) {
+        this.drawLine(bridgeMask, width, height, edge.from, edge.to, bridgeWidth);
+        bridges++;
+      }
+    }
+
+    return { bridgeMask, count: bridges };
+  }
+
+  /**
+   * 在蒙版上绘制粗线段（圆头）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} from 起点像素索引
+   * @param {number} to 终点像素索引
+   * @param {number} lineWidth 线宽（像素）
+   */
+  drawLine(mask, width, height, from, to, lineWidth) {
+    const x1 = from % width;
+    const y1 = (from - x1) / width;
+    const x2 = to % width;
+    const y2 = (to - x2) / width;
+    const radius = Math.max(0.5, lineWidth / 2);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+
+    const left = Math.max(0, Math.floor(Math.min(x1, x2) - radius));
+    const right = Math.min(width - 1, Math.ceil(Math.max(x1, x2) + radius));
+    const top = Math.max(0, Math.floor(Math.min(y1, y2) - radius));
+    const bottom = Math.min(height - 1, Math.ceil(Math.max(y1, y2) + radius));
+
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        // 点到线段的距离
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - x1) * dx + (y - y1) * dy) / lengthSq)) : 0;
+        const px = x1 + t * dx - x;
+        const py = y1 + t * dy - y;
+        if (px * px + py * py <= radius * radius) {
+          mask[y * width + x] = 255;
+        }
+      }
+    }
+  }
+
+  /**
+   * 欧氏距离变换（Felzenszwalb-Huttenlocher，可分离的下包络算法）
+   * @param {Uint8Array} feature 特征像素标记（非0为特征像素）
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @returns {Float32Array} 每个像素到最近特征像素的距离平方（无特征像素时为 Infinity）
+   */
+  distanceTransform(feature, width, height) {
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+    const dist = new Float32Array(width * height);
+
+    // 一维距离变换
+    const transform1d = (n) => {
+      let k = 0;
+      v[0] = 0;
+      z[0] = -Infinity;
+      z[1] = Infinity;
+      for (let q = 1; q < n; q++) {
+        if (f[q] === Infinity) continue;
+        if (f[v[k]] === Infinity) {
+          v[k] = q;
+          continue;
+        }
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+          k--;
+          s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+      }
+      k = 0;
+      for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = f[v[k]] === Infinity ? Infinity : (q - v[k]) * (q - v[k]) + f[v[k]];
+      }
+    };
+
+    // 按列
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        f[y] = feature[y * width + x] ? 0 : Infinity;
+      }
+      transform1d(height);
+      for (let y = 0; y < height; y++) {
+        dist[y * width + x] = d[y];
+      }
+    }
+
+    // 按行
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        f[x] = dist[row + x];
+      }
+      transform1d(width);
+      for (let x = 0; x < width; x++) {
+        dist[row + x] = d[x];
+      }
+    }
+
+    return dist;
+  }
+
+  /**
+   * 二值腐蚀（圆形结构元素，图像外不视为背景）
+   * @param {Uint8Array} binary 二值蒙版 (0/1)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Uint8Array} 腐蚀结果
+   */
+  erode(binary, width, height, radius) {
+    const background = binary.map(value => (value ? 0 : 1));
+    const dist = this.distanceTransform(background, width, height);
+    const limit = radius * radius;
+    return binary.map((value, i) => (value && dist[i] > limit ? 1 : 0));
+  }
+
+  /**
+   * 二值膨胀（圆形结构元素）
+   * @param {Uint8Array} binary 二值蒙版 (0/1)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Uint8Array} 膨胀结果
+   */
+  dilate(binary, width, height, radius) {
+    const dist = this.distanceTransform(binary, width, height);
+    const limit = radius * radius;
+    return binary.map((value, i) => (dist[i] <= limit ? 1 : 0));
+  }
+
+  /**
+   * 二值膨胀（方形结构元素，先逐行再逐列做一维最近距离扫描）
+   * @param {Uint8Array} binary 二值蒙版 (0/1)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半边长（像素）
+   * @returns {Uint8Array} 膨胀结果
+   */
+  dilateSquare(binary, width, height, radius) {
+    const r = Math.floor(radius);
+    const rows = new Uint8Array(binary.length);
+    const result = new Uint8Array(binary.length);
+
+    // 一维：标记到最近特征像素距离不超过 r 的位置
+    const scan = (source, target, start, stride, length) => {
+      let last = -Infinity;
+      for (let k = 0; k < length; k++) {
+        if (source[start + k * stride]) last = k;
+        if (k - last <= r) target[start + k * stride] = 1;
+      }
+      last = Infinity;
+      for (let k = length - 1; k >= 0; k--) {
+        if (source[start + k * stride]) last = k;
+        if (last - k <= r) target[start + k * stride] = 1;
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      scan(binary, rows, y * width, 1, width);
+    }
+    for (let x = 0; x < width; x++) {
+      scan(rows, result, x, width, height);
+    }
+    return result;
+  }
+
+  /**
+   * 蒙版外扩：新增像素设为完全不透明
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 外扩半径（像素）
+   * @param {Object} options 选项
+   * @param {string} options.shape 结构元素形状：circle/square
+   * @param {Uint8Array} options.allowed 允许外扩到的像素标记（非0为允许），为空时不限制
+   * @returns {{mask: Uint8ClampedArray, added: number}} 外扩后的蒙版与新增像素数
+   */
+  growMask(mask, width, height, radius, options = {}) {
+    const { shape = 'circle', allowed = null } = options;
+    if (radius < 0.5) return { mask, added: 0 };
+
+    const binary = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) {
+      binary[i] = mask[i] >= 128 ? 1 : 0;
+    }
+
+    const grown = shape === 'square' ?
+      this.dilateSquare(binary, width, height, radius) :
+      this.dilate(binary, width, height, radius);
+
+    const result = new Uint8ClampedArray(mask);
+    let added = 0;
+    for (let i = 0; i < mask.length; i++) {
+      if (grown[i] && !binary[i] && (!allowed || allowed[i])) {
+        if (mask[i] === 0) added++;
+        result[i] = 255;
+      }
+    }
+
+    return { mask: result, added };
+  }
+
+  /**
+   * 最小特征宽度：开运算去除窄于 2×radius 的细丝和尖刺，闭运算填平同样窄的缝隙
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 结构元素半径（像素）
+   * @returns {{mask: Uint8ClampedArray, removedMask: Uint8Array, removed: number, added: number}}
+   *   处理后的蒙版、被移除像素标记及移除/填充的像素数
+   */
+  enforceMinFeatureWidth(mask, width, height, radius) {
+    const removedMask = new Uint8Array(mask.length);
+    if (radius < 0.5) return { mask, removedMask, removed: 0, added: 0 };
+
+    const binary = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) {
+      binary[i] = mask[i] >= 128 ? 1 : 0;
+    }
+
+    const opened = this.dilate(this.erode(binary, width, height, radius), width, height, radius);
+    const closed = this.erode(this.dilate(opened, width, height, radius), width, height, radius);
+
+    const result = new Uint8ClampedArray(mask);
+    let removed = 0;
+    let added = 0;
+    for (let i = 0; i < mask.length; i++) {
+      if (binary[i] && !closed[i]) {
+        result[i] = 0;
+        removedMask[i] = 1;
+        removed++;
+      } else if (!binary[i] && closed[i]) {
+        result[i] = 255;
+        added++;
+      }
+    }
+
+    return { mask: result, removedMask, removed, added };
+  }
+
+  /**
+   * 单次盒式模糊（水平 + 垂直，滑动窗口求和）
+   * @param {Float32Array} values 输入值
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 半径（像素）
+   * @returns {Float32Array} 模糊结果
+   */
+  boxBlur(values, width, height, radius) {
+    const temp = new Float32Array(values.length);
+    const out = new Float32Array(values.length);
+    const size = radius * 2 + 1;
+
+    // 水平方向（边缘像素外延）
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += values[row + Math.min(width - 1, Math.max(0, k))];
+      }
+      for (let x = 0; x < width; x++) {
+        temp[row + x] = sum / size;
+        const add = Math.min(width - 1, x + radius + 1);
+        const remove = Math.max(0, x - radius);
+        sum += values[row + add] - values[row + remove];
+      }
+    }
+
+    // 垂直方向
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += temp[Math.min(height - 1, Math.max(0, k)) * width + x];
+      }
+      for (let y = 0; y < height; y++) {
+        out[y * width + x] = sum / size;
+        const add = Math.min(height - 1, y + radius + 1);
+        const remove = Math.max(0, y - radius);
+        sum += temp[add * width + x] - temp[remove * width + x];
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * 羽化蒙版（三次盒式模糊近似高斯模糊）
+   * @param {Uint8ClampedArray} alpha Alpha蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} radius 羽化半径（像素）
+   * @returns {Uint8ClampedArray} 羽化后的蒙版
+   */
+  featherAlpha(alpha, width, height, radius) {
+    if (radius <= 0) return alpha;
+
+    // 三次盒式模糊的总半径约等于 radius
+    const passRadius = Math.max(1, Math.round(radius / 3));
+    let values = Float32Array.from(alpha);
+    for (let pass = 0; pass < 3; pass++) {
+      values = this.boxBlur(values, width, height, passRadius);
+    }
+
+    return Uint8ClampedArray.from(values, v => Math.round(v));
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrowserMaskProcessor;
+} else {
+  window.BrowserMaskProcessor = BrowserMaskProcessor;
+}
@@ -0,0 +1,286 @@
+/**
+ * PaperPalette - 纸张模式色调分离
+ * 将每个层级压缩为一种或少数几种颜色（平均色、手动取色或纸张色卡中的最近颜色），便于用彩色卡纸制作
+ */
+
+class PaperPalette {
+  constructor() {
+    this.iterations = 10; // K-means 迭代次数
+    this.maxSamples = 20000; // 聚类时最多采样的像素数
+  }
+
+  /**
+   * 获取默认纸张色卡
+   * @returns {Array<{name: string, color: string}>} 色卡
+   */
+  getDefaultCatalog() {
+    return [
+      { name: '白色', color: '#f4f1ea' },
+      { name: '米黄', color: '#e8d8b0' },
+      { name: '柠檬黄', color: '#f2d33c' },
+      { name: '橙色', color: '#e8812c' },
+      { name: '大红', color: '#c8262c' },
+      { name: '粉红', color: '#e9a3b8' },
+      { name: '紫色', color: '#6c4a8c' },
+      { name: '天蓝', color: '#7fb6dc' },
+      { name: '深蓝', color: '#243c74' },
+      { name: '草绿', color: '#7dab4a' },
+      { name: '墨绿', color: '#2d5a3c' },
+      { name: '棕色', color: '#7a4e2d' },
+      { name: '灰色', color: '#8c8c8c' },
+      { name: '黑色', color: '#1e1e1e' }
+    ];
+  }
+
+  /**
+   * 解析色卡文本，每行一个颜色：“名称 #rrggbb”
+   * @param {string} text 色卡文本
+   * @returns {Array<{name: string, color: string}>} 色卡（忽略无效行）
+   */
+  parseCatalog(text) {
+    const catalog = [];
+    (text || '').split('\n').forEach(line => {
+      const match = line.match(/#([0-9a-fA-F]{6})\b/);
+      if (!match) return;
+      const name = line.replace(match[0], '').trim() || `#${match[1]}`;
+      catalog.push({ name, color: `#${match[1].toLowerCase()}` });
+    });
+    return catalog;
+  }
+
+  /**
+   * 将色卡格式化为文本
+   * @param {Array<{name: string, color: string}>} catalog 色卡
+   * @returns {string} 色卡文本
+   */
+  formatCatalog(catalog) {
+    return catalog.map(entry => `${entry.name} ${entry.color}`).join('\n');
+  }
+
+  /**
+   * 十六进制颜色转RGB
+   * @param {string} hex 颜色（#rrggbb）
+   * @returns {{r: number, g: number, b: number}} RGB
+   */
+  hexToRgb(hex) {
+    return {
+      r: parseInt(hex.slice(1, 3), 16),
+      g: parseInt(hex.slice(3, 5), 16),
+      b: parseInt(hex.slice(5, 7), 16)
+    };
+  }
+
+  /**
+   * RGB转十六进制颜色
+   * @param {{r: number, g: number, b: number}} rgb RGB
+   * @returns {string} 颜色（#rrggbb）
+   */
+  rgbToHex(rgb) {
+    return '#' + [rgb.r, rgb.g, rgb.b]
+      .map(value => Math.min(255, Math.max(0, Math.round(value))).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * 颜色距离平方（按红色均值加权的RGB距离，近似感知差异）
+   * @param {{r: number, g: number, b: number}} a 颜色
+   * @param {{r: number, g: number, b: number}} b 颜色
+   * @returns {number} 距离平方
+   */
+  colorDistance(a, b) {
+    const meanRed = (a.r + b.r) / 2;
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return (2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db;
+  }
+
+  /**
+   * 在色卡中查找最接近的颜色
+   * @param {{r: number, g: number, b: number}} rgb 颜色
+   * @param {Array<{name: string, color: string}>} catalog 色卡
+   * @returns {{name: string, color: string}} 最接近的色卡条目
+   */
+  nearestCatalogColor(rgb, catalog) {
+    let best = catalog[0];
+    let bestDistance = Infinity;
+    for (const entry of catalog) {
+      const distance = this.colorDistance(rgb, this.hexToRgb(entry.color));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = entry;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 提取层级主色（对不透明像素做 K-means，按像素数从多到少排序）
+   * @param {ImageData} imageData 层级图像数据
+   * @param {number} colorCount 颜色数量
+   * @returns {Array<{r: number, g: number, b: number}>} 主色，无不透明像素时为空数组
+   */
+  extractColors(imageData, colorCount = 1) {
+    const data = imageData.data;
+    const count = imageData.width * imageData.height;
+
+    let opaque = 0;
+    for (let i = 0; i < count; i++) {
+      if (data[i * 4 + 3] >= 128) opaque++;
+    }
+    if (opaque === 0) return [];
+
+    // 均匀采样不透明像素
+    const stride = Math.max(1, Math.ceil(opaque / this.maxSamples));
+    const samples = [];
+    let seen = 0;
+    for (let i = 0; i < count; i++) {
+      if (data[i * 4 + 3] < 128) continue;
+      if (seen++ % stride === 0) {
+        samples.push(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+      }
+    }
+    const sampleCount = samples.length / 3;
+    const sample = (j) => ({ r: samples[j * 3], g: samples[j * 3 + 1], b: samples[j * 3 + 2] });
+
+    // 初始化：第一个中心为平均色，其余依次取离已有中心最远的样本
+    const mean = { r: 0, g: 0, b: 0 };
+    for (let j = 0; j < sampleCount; j++) {
+      mean.r += samples[j * 3];
+      mean.g += samples[j * 3 + 1];
+      mean.b += samples[j * 3 + 2];
+    }
+    const centers = [{ r: mean.r / sampleCount, g: mean.g / sampleCount, b: mean.b / sampleCount }];
+    const nearest = new Float64Array(sampleCount).fill(Infinity);
+    while (centers.length < colorCount) {
+      const last = centers[centers.length - 1];
+      let farthest = -1;
+      let farthestDistance = 0;
+      for (let j = 0; j < sampleCount; j++) {
+        nearest[j] = Math.min(nearest[j], this.colorDistance(sample(j), last));
+        if (nearest[j] > farthestDistance) {
+          farthestDistance = nearest[j];
+          farthest = j;
+        }
+      }
+      // 颜色种类少于颜色数量
+      if (farthest < 0) break;
+      centers.push(sample(farthest));
+    }
+
+    const assignments = new Int32Array(sampleCount);
+    const sizes = new Float64Array(centers.length);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const sums = new Float64Array(centers.length * 3);
+      sizes.fill(0);
+      for (let j = 0; j < sampleCount; j++) {
+        const color = sample(j);
+        let best = 0;
+        let bestDistance = Infinity;
+        centers.forEach((center, k) => {
+          const distance = this.colorDistance(color, center);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = k;
+          }
+        });
+        assignments[j] = best;
+        sums[best * 3] += color.r;
+        sums[best * 3 + 1] += color.g;
+        sums[best * 3 + 2] += color.b;
+        sizes[best]++;
+      }
+      centers.forEach((center, k) => {
+        if (sizes[k] === 0) return;
+        center.r = sums[k * 3] / sizes[k];
+        center.g = sums[k * 3 + 1] / sizes[k];
+        center.b = sums[k * 3 + 2] / sizes[k];
+      });
+    }
+
+    return centers
+      .map((center, k) => ({ center, size: sizes[k] }))
+      .filter(entry => entry.size > 0)
+      .sort((a, b) => b.size - a.size)
+      .map(entry => ({ r: Math.round(entry.center.r), g: Math.round(entry.center.g), b: Math.round(entry.center.b) }));
+  }
+
+  /**
+   * 色调分离：将每个可见像素替换为调色板中最接近的颜色（Alpha不变，原地修改）
+   * @param {ImageData} imageData 层级图像数据
+   * @param {Array<{r: number, g: number, b: number}>} palette 调色板
+   * @returns {Uint8Array} 每个像素的调色板编号 + 1，0 表示透明未处理
+   */
+  posterize(imageData, palette) {
+    const data = imageData.data;
+    const count = imageData.width * imageData.height;
+    const labels = new Uint8Array(count);
+
+    for (let i = 0; i < count; i++) {
+      if (data[i * 4 + 3] === 0) continue;
+      const color = { r: data[i * 4], g: data[i * 4 + 1], b: data[i * 4 + 2] };
+      let best = 0;
+      let bestDistance = Infinity;
+      palette.forEach((entry, k) => {
+        const distance = this.colorDistance(color, entry);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = k;
+        }
+      });
+      data[i * 4] = palette[best].r;
+      data[i * 4 + 1] = palette[best].g;
+      data[i * 4 + 2] = palette[best].b;
+      labels[i] = best + 1;
+    }
+
+    return labels;
+  }
+
+  /**
+   * 纸张模式处理
+   * @param {ImageData} imageData 层级图像数据（原地修改）
+   * @param {Object} params 纸张模式参数
+   * @param {string} params.mode 颜色来源：average(平均色)/picked(手动取色)/catalog(色卡最近色)
+   * @param {number} params.colorCount 每层颜色数量（picked模式固定为1）
+   * @param {string} params.pickedColor 手动选择的颜色（#rrggbb），未选择时使用平均色
+   * @param {Array<{name: string, color: string}>} params.catalog 纸张色卡
+   * @returns {{colors: Array<{name: string, color: string}>, labels: Uint8Array}|null} 层级颜色与像素编号，层级为空时为 null
+   */
+  apply(imageData, params) {
+    const { mode = 'average', colorCount = 1, pickedColor = null, catalog = [] } = params;
+
+    let colors;
+    if (mode === 'picked') {
+      const average = this.extractColors(imageData, 1);
+      if (average.length === 0) return null;
+      const color = pickedColor || this.rgbToHex(average[0]);
+      colors = [{ name: '', color }];
+    } else {
+      const extracted = this.extractColors(imageData, Math.max(1, Math.round(colorCount)));
+      if (extracted.length === 0) return null;
+      if (mode === 'catalog' && catalog.length > 0) {
+        // 映射到色卡并去重
+        colors = [];
+        extracted.forEach(rgb => {
+          const entry = this.nearestCatalogColor(rgb, catalog);
+          if (!colors.some(existing => existing.color === entry.color)) {
+            colors.push({ name: entry.name, color: entry.color });
+          }
+        });
+      } else {
+        colors = extracted.map(rgb => ({ name: '', color: this.rgbToHex(rgb) }));
+      }
+    }
+
+    const labels = this.posterize(imageData, colors.map(entry => this.hexToRgb(entry.color)));
+    return { colors, labels };
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaperPalette;
+} else {
+  window.PaperPalette = PaperPalette;
+}
@@ -0,0 +1,159 @@
+/**
+ * PngStreamEncoder - 流式PNG编码器
+ * 按行追加RGBA像素，用 CompressionStream 压缩为 IDAT 数据块，不需要持有完整的图像像素
+ */
+
+class PngStreamEncoder {
+  /**
+   * @param {number} width 图像宽度
+   * @param {number} height 图像高度
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.rowsWritten = 0;
+    this.parts = [
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      this.createChunk('IHDR', this.createHeader())
+    ];
+
+    // zlib格式压缩流，输出的每个数据块直接封装为IDAT
+    const stream = new CompressionStream('deflate');
+    this.writer = stream.writable.getWriter();
+    this.reading = this.collectChunks(stream.readable.getReader());
+  }
+
+  /**
+   * 当前环境是否支持流式编码
+   * @returns {boolean} 是否支持
+   */
+  static isSupported() {
+    return typeof CompressionStream !== 'undefined';
+  }
+
+  /**
+   * 生成IHDR数据：8位RGBA，无隔行
+   * @returns {Uint8Array} IHDR数据
+   */
+  createHeader() {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, this.width);
+    view.setUint32(4, this.height);
+    header[8] = 8; // 位深
+    header[9] = 6; // RGBA
+    return header;
+  }
+
+  /**
+   * 读取压缩输出并封装为IDAT数据块
+   * @param {ReadableStreamDefaultReader} reader 压缩流读取器
+   */
+  async collectChunks(reader) {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      this.parts.push(this.createChunk('IDAT', value));
+    }
+  }
+
+  /**
+   * 追加若干行像素（Sub滤波后写入压缩流）
+   * @param {Uint8ClampedArray|Uint8Array} rgba 行像素，长度为 rowCount × width × 4
+   * @param {number} rowCount 行数
+   */
+  async writeRows(rgba, rowCount) {
+    if (this.rowsWritten + rowCount > this.height) {
+      throw new Error('PNG行数超出图像高度');
+    }
+
+    const rowBytes = this.width * 4;
+    const filtered = new Uint8Array(rowCount * (rowBytes + 1));
+    for (let y = 0; y < rowCount; y++) {
+      const src = y * rowBytes;
+      const dst = y * (rowBytes + 1);
+      filtered[dst] = 1; // Sub滤波：与左侧像素的差值
+      for (let x = 0; x < rowBytes; x++) {
+        filtered[dst + 1 + x] = x < 4 ? rgba[src + x] : rgba[src + x] - rgba[src + x - 4];
+      }
+    }
+
+    this.rowsWritten += rowCount;
+    await this.writer.ready;
+    await this.writer.write(filtered);
+  }
+
+  /**
+   * 结束编码
+   * @returns {Promise<Blob>} PNG文件
+   */
+  async finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`PNG行数不足 (${this.rowsWritten}/${this.height})`);
+    }
+    await this.writer.close();
+    await this.reading;
+    this.parts.push(this.createChunk('IEND', new Uint8Array(0)));
+    return new Blob(this.parts, { type: 'image/png' });
+  }
+
+  /**
+   * 放弃编码并释放压缩流
+   */
+  abort() {
+    this.writer.abort().catch(() => {});
+    this.parts = [];
+  }
+
+  /**
+   * 生成PNG数据块：长度、类型、数据与CRC
+   * @param {string} type 数据块类型
+   * @param {Uint8Array} data 数据
+   * @returns {Uint8Array} 数据块
+   */
+  createChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, PngStreamEncoder.crc32(chunk, 4, data.length + 8));
+    return chunk;
+  }
+
+  /**
+   * 计算CRC32
+   * @param {Uint8Array} bytes 数据
+   * @param {number} start 起始位置
+   * @param {number} end 结束位置（不含）
+   * @returns {number} CRC32
+   */
+  static crc32(bytes, start, end) {
+    if (!PngStreamEncoder.crcTable) {
+      const table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+      }
+      PngStreamEncoder.crcTable = table;
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+      crc = PngStreamEncoder.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PngStreamEncoder;
+} else {
+  window.PngStreamEncoder = PngStreamEncoder;
+}
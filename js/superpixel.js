@@ -0,0 +1,262 @@
+/**
+ * SuperpixelSegmenter - SLIC超像素分割
+ * 在原图上计算超像素，并把每个超像素的深度统一为其中值深度，使层级边缘沿物体可见边缘
+ */
+
+class SuperpixelSegmenter {
+  constructor() {
+    this.iterations = 10;
+  }
+
+  /**
+   * RGB转换为CIELAB
+   * @param {Uint8ClampedArray} pixels RGBA像素数据
+   * @param {number} count 像素数量
+   * @returns {{l: Float32Array, a: Float32Array, b: Float32Array}} Lab通道
+   */
+  rgbToLab(pixels, count) {
+    const l = new Float32Array(count);
+    const a = new Float32Array(count);
+    const b = new Float32Array(count);
+
+    // sRGB 线性化查找表
+    const linear = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      const c = i / 255;
+      linear[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+    for (let i = 0; i < count; i++) {
+      const r = linear[pixels[i * 4]];
+      const g = linear[pixels[i * 4 + 1]];
+      const bl = linear[pixels[i * 4 + 2]];
+
+      // D65 白点
+      const fx = f((r * 0.4124 + g * 0.3576 + bl * 0.1805) / 0.95047);
+      const fy = f(r * 0.2126 + g * 0.7152 + bl * 0.0722);
+      const fz = f((r * 0.0193 + g * 0.1192 + bl * 0.9505) / 1.08883);
+
+      l[i] = 116 * fy - 16;
+      a[i] = 500 * (fx - fy);
+      b[i] = 200 * (fy - fz);
+    }
+
+    return { l, a, b };
+  }
+
+  /**
+   * SLIC超像素分割
+   * @param {ImageData} imageData 原图像素数据
+   * @param {Object} options 选项
+   * @param {number} options.regionSize 超像素边长（像素）
+   * @param {number} options.compactness 紧凑度（越大越接近方形，越小越贴合颜色边缘）
+   * @returns {{labels: Int32Array, count: number}} 每个像素的超像素编号（从0开始）与数量
+   */
+  segment(imageData, options = {}) {
+    const { regionSize = 20, compactness = 10 } = options;
+    const { width, height, data } = imageData;
+    const count = width * height;
+    const step = Math.max(2, Math.round(regionSize));
+    const { l, a, b } = this.rgbToLab(data, count);
+
+    // 初始化聚类中心：网格采样，并移动到3×3邻域中梯度最小处
+    const gradient = (x, y) => {
+      const left = y * width + Math.max(0, x - 1);
+      const right = y * width + Math.min(width - 1, x + 1);
+      const up = Math.max(0, y - 1) * width + x;
+      const down = Math.min(height - 1, y + 1) * width + x;
+      const dx = (l[right] - l[left]) ** 2 + (a[right] - a[left]) ** 2 + (b[right] - b[left]) ** 2;
+      const dy = (l[down] - l[up]) ** 2 + (a[down] - a[up]) ** 2 + (b[down] - b[up]) ** 2;
+      return dx + dy;
+    };
+
+    const centers = [];
+    for (let y = Math.floor(step / 2); y < height; y += step) {
+      for (let x = Math.floor(step / 2); x < width; x += step) {
+        let bestX = x;
+        let bestY = y;
+        let best = Infinity;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = Math.min(width - 1, Math.max(0, x + dx));
+            const ny = Math.min(height - 1, Math.max(0, y + dy));
+            const g = gradient(nx, ny);
+            if (g < best) {
+              best = g;
+              bestX = nx;
+              bestY = ny;
+            }
+          }
+        }
+        const i = bestY * width + bestX;
+        centers.push({ x: bestX, y: bestY, l: l[i], a: a[i], b: b[i] });
+      }
+    }
+
+    const labels = new Int32Array(count).fill(-1);
+    const distances = new Float32Array(count);
+    const spatialWeight = (compactness / step) ** 2;
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      distances.fill(Infinity);
+
+      // 分配：每个中心只搜索 2S×2S 的邻域
+      centers.forEach((center, k) => {
+        const x0 = Math.max(0, Math.floor(center.x - step));
+        const x1 = Math.min(width - 1, Math.ceil(center.x + step));
+        const y0 = Math.max(0, Math.floor(center.y - step));
+        const y1 = Math.min(height - 1, Math.ceil(center.y + step));
+
+        for (let y = y0; y <= y1; y++) {
+          for (let x = x0; x <= x1; x++) {
+            const i = y * width + x;
+            const colorDistance = (l[i] - center.l) ** 2 + (a[i] - center.a) ** 2 + (b[i] - center.b) ** 2;
+            const spatialDistance = (x - center.x) ** 2 + (y - center.y) ** 2;
+            const distance = colorDistance + spatialDistance * spatialWeight;
+            if (distance < distances[i]) {
+              distances[i] = distance;
+              labels[i] = k;
+            }
+          }
+        }
+      });
+
+      // 更新：中心移动到所属像素的均值
+      const sums = new Float64Array(centers.length * 6);
+      for (let i = 0; i < count; i++) {
+        const k = labels[i];
+        if (k < 0) continue;
+        const x = i % width;
+        const offset = k * 6;
+        sums[offset] += x;
+        sums[offset + 1] += (i - x) / width;
+        sums[offset + 2] += l[i];
+        sums[offset + 3] += a[i];
+        sums[offset + 4] += b[i];
+        sums[offset + 5]++;
+      }
+      centers.forEach((center, k) => {
+        const n = sums[k * 6 + 5];
+        if (n === 0) return;
+        center.x = sums[k * 6] / n;
+        center.y = sums[k * 6 + 1] / n;
+        center.l = sums[k * 6 + 2] / n;
+        center.a = sums[k * 6 + 3] / n;
+        center.b = sums[k * 6 + 4] / n;
+      });
+    }
+
+    return this.enforceConnectivity(labels, width, height, Math.max(1, Math.floor((step * step) / 4)));
+  }
+
+  /**
+   * 连通性修正：每个连通块单独编号，过小的块并入相邻超像素
+   * @param {Int32Array} labels SLIC标签
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} minSize 最小块面积（像素）
+   * @returns {{labels: Int32Array, count: number}} 修正后的标签与数量
+   */
+  enforceConnectivity(labels, width, height, minSize) {
+    const result = new Int32Array(labels.length).fill(-1);
+    const stack = new Int32Array(labels.length);
+    const members = new Int32Array(labels.length);
+    const offsets = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    let count = 0;
+
+    for (let start = 0; start < labels.length; start++) {
+      if (result[start] !== -1) continue;
+
+      const original = labels[start];
+      let adjacent = -1;
+      let size = 0;
+      let top = 0;
+      stack[top++] = start;
+      result[start] = count;
+
+      while (top > 0) {
+        const index = stack[--top];
+        members[size++] = index;
+        const x = index % width;
+        const y = (index - x) / width;
+
+        for (const [dx, dy] of offsets) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const next = ny * width + nx;
+          if (result[next] === -1 && labels[next] === original) {
+            result[next] = count;
+            stack[top++] = next;
+          } else if (result[next] !== -1 && result[next] !== count) {
+            adjacent = result[next];
+          }
+        }
+      }
+
+      // 过小的块并入已编号的相邻超像素
+      if (size < minSize && adjacent !== -1) {
+        for (let i = 0; i < size; i++) {
+          result[members[i]] = adjacent;
+        }
+      } else {
+        count++;
+      }
+    }
+
+    return { labels: result, count };
+  }
+
+  /**
+   * 将每个超像素的深度统一为其中值深度（原地修改）
+   * @param {{width: number, height: number, data: Float32Array}} depthField 深度场 (0-100)
+   * @param {Int32Array} labels 超像素标签
+   * @param {number} count 超像素数量
+   * @returns {{width: number, height: number, data: Float32Array}} 对齐后的深度场
+   */
+  snapDepth(depthField, labels, count) {
+    const depth = depthField.data;
+
+    // 按标签计数排序像素索引
+    const offsets = new Int32Array(count + 1);
+    for (let i = 0; i < labels.length; i++) {
+      offsets[labels[i] + 1]++;
+    }
+    for (let k = 0; k < count; k++) {
+      offsets[k + 1] += offsets[k];
+    }
+    const order = new Int32Array(labels.length);
+    const cursor = offsets.slice(0, count);
+    for (let i = 0; i < labels.length; i++) {
+      order[cursor[labels[i]]++] = i;
+    }
+
+    const values = new Float32Array(labels.length);
+    for (let k = 0; k < count; k++) {
+      const start = offsets[k];
+      const end = offsets[k + 1];
+      if (end === start) continue;
+
+      for (let j = start; j < end; j++) {
+        values[j] = depth[order[j]];
+      }
+      const segment = values.subarray(start, end).sort();
+      const median = segment[Math.floor(segment.length / 2)];
+
+      for (let j = start; j < end; j++) {
+        depth[order[j]] = median;
+      }
+    }
+
+    console.log(`✓ 超像素对齐完成 (${count} 个超像素)`);
+    return depthField;
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SuperpixelSegmenter;
+} else {
+  window.SuperpixelSegmenter = SuperpixelSegmenter;
+}
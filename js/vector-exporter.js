@@ -0,0 +1,361 @@
+/**
+ * VectorExporter - 层级轮廓矢量导出
+ * 用 Marching Squares 追踪层级Alpha蒙版的闭合轮廓，简化后导出为SVG切割路径或DXF多段线
+ */
+
+class VectorExporter {
+  constructor() {
+    this.threshold = 128; // Alpha阈值，大于等于该值视为实体
+    this.tolerance = 0.75; // 路径简化容差（像素）
+    this.defaultDpi = 96; // 未设置物理尺寸时的像素密度
+  }
+
+  /**
+   * 从Canvas提取Alpha蒙版
+   * @param {HTMLCanvasElement} canvas 层级Canvas
+   * @returns {Uint8ClampedArray} Alpha蒙版 (0-255)
+   */
+  getAlphaMask(canvas) {
+    const ctx = canvas.getContext('2d');
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const alpha = new Uint8ClampedArray(canvas.width * canvas.height);
+    for (let i = 0; i < alpha.length; i++) {
+      alpha[i] = data[i * 4 + 3];
+    }
+    return alpha;
+  }
+
+  /**
+   * Marching Squares 轮廓追踪
+   * 采样点为像素中心，图像外视为透明，保证所有轮廓闭合；
+   * 鞍点按实体4连通处理（对角相接的像素分开切割）
+   * @param {Uint8ClampedArray} mask 蒙版 (0-255)
+   * @param {number} width 宽度
+   * @param {number} height 高度
+   * @param {number} threshold Alpha阈值
+   * @returns {Array<Array<Array<number>>>} 闭合轮廓数组，每个轮廓为 [[x, y], ...]（像素坐标）
+   */
+  traceContours(mask, width, height, threshold = this.threshold) {
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] >= threshold;
+
+    // 边中点坐标以 2 倍整数存储，便于作为哈希键
+    const gridWidth = width * 2 + 3;
+    const keyOf = (x2, y2) => (y2 + 1) * gridWidth + (x2 + 1);
+    const next = new Map();
+
+    for (let cy = -1; cy < height; cy++) {
+      for (let cx = -1; cx < width; cx++) {
+        // 顺时针：左上、右上、右下、左下
+        const corners = [inside(cx, cy), inside(cx + 1, cy), inside(cx + 1, cy + 1), inside(cx, cy + 1)];
+        if (corners[0] === corners[1] && corners[1] === corners[2] && corners[2] === corners[3]) continue;
+
+        // 四条边的中点（顺时针：上、右、下、左），2倍坐标
+        const midpoints = [
+          [cx * 2 + 2, cy * 2 + 1],
+          [cx * 2 + 3, cy * 2 + 2],
+          [cx * 2 + 2, cy * 2 + 3],
+          [cx * 2 + 1, cy * 2 + 2]
+        ];
+
+        // 顺时针遍历边：由外到内为入点，由内到外为出点
+        const crossings = [];
+        for (let edge = 0; edge < 4; edge++) {
+          const a = corners[edge];
+          const b = corners[(edge + 1) % 4];
+          if (a !== b) crossings.push({ edge, entry: !a });
+        }
+
+        // 每个入点连接到顺时针方向的下一个出点
+        for (let i = 0; i < crossings.length; i++) {
+          if (!crossings[i].entry) continue;
+          const exit = crossings[(i + 1) % crossings.length];
+          const from = midpoints[crossings[i].edge];
+          const to = midpoints[exit.edge];
+          next.set(keyOf(from[0], from[1]), to);
+        }
+      }
+    }
+
+    // 串联线段为闭合轮廓
+    const contours = [];
+    const visited = new Set();
+    next.forEach((firstTarget, startKey) => {
+      if (visited.has(startKey)) return;
+
+      const points = [];
+      let key = startKey;
+      let target = firstTarget;
+      while (!visited.has(key)) {
+        visited.add(key);
+        const y2 = Math.floor(key / gridWidth) - 1;
+        const x2 = key % gridWidth - 1;
+        points.push([x2 / 2, y2 / 2]);
+        key = keyOf(target[0], target[1]);
+        target = next.get(key);
+        if (!target) break;
+      }
+
+      if (points.length >= 3) contours.push(points);
+    });
+
+    return contours;
+  }
+
+  /**
+   * 计算多边形有向面积（屏幕坐标，实体外轮廓为负，孔洞为正）
+   * @param {Array<Array<number>>} points 轮廓点
+   * @returns {number} 有向面积
+   */
+  polygonArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += (points[j][0] * points[i][1]) - (points[i][0] * points[j][1]);
+    }
+    return area / 2;
+  }
+
+  /**
+   * Douglas-Peucker 折线简化
+   * @param {Array<Array<number>>} points 折线点
+   * @param {number} tolerance 容差（像素）
+   * @returns {Array<Array<number>>} 简化后的折线（保留首尾点）
+   */
+  simplifyPolyline(points, tolerance) {
+    if (points.length <= 2) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+      const [start, end] = stack.pop();
+      const [x1, y1] = points[start];
+      const [x2, y2] = points[end];
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const length = Math.hypot(dx, dy);
+
+      let maxDistance = 0;
+      let index = -1;
+      for (let i = start + 1; i < end; i++) {
+        const [px, py] = points[i];
+        const distance = length > 0 ?
+          Math.abs(dy * px - dx * py + x2 * y1 - y2 * x1) / length :
+          Math.hypot(px - x1, py - y1);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          index = i;
+        }
+      }
+
+      if (index !== -1 && maxDistance > tolerance) {
+        keep[index] = 1;
+        stack.push([start, index], [index, end]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  /**
+   * 简化闭合轮廓：在首点和离首点最远的点处拆成两段分别简化
+   * @param {Array<Array<number>>} points 闭合轮廓点（不重复首点）
+   * @param {number} tolerance 容差（像素）
+   * @returns {Array<Array<number>>} 简化后的闭合轮廓
+   */
+  simplifyClosed(points, tolerance = this.tolerance) {
+    if (points.length <= 4 || tolerance <= 0) return points.slice();
+
+    let farthest = 0;
+    let maxDistance = -1;
+    for (let i = 1; i < points.length; i++) {
+      const distance = Math.hypot(points[i][0] - points[0][0], points[i][1] - points[0][1]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    const first = this.simplifyPolyline(points.slice(0, farthest + 1), tolerance);
+    const second = this.simplifyPolyline(points.slice(farthest).concat([points[0]]), tolerance);
+    const result = first.concat(second.slice(1, -1));
+    return result.length >= 3 ? result : points.slice();
+  }
+
+  /**
+   * 追踪层级Canvas的切割轮廓
+   * 接触画布四边的外轮廓视为边框，替换为精确的画布外框矩形
+   * @param {HTMLCanvasElement} canvas 层级Canvas（含边框）
+   * @param {Object} options 选项
+   * @param {number} options.tolerance 简化容差（像素）
+   * @param {boolean} options.hasFrame 是否含有 addBorder 边框
+   * @returns {{width: number, height: number, contours: Array<{points: Array<Array<number>>, isHole: boolean, isFrame: boolean}>}}
+   */
+  traceLayer(canvas, options = {}) {
+    const { tolerance = this.tolerance, hasFrame = false } = options;
+    const { width, height } = canvas;
+    const mask = this.getAlphaMask(canvas);
+
+    const contours = this.traceContours(mask, width, height).map(points => {
+      const isHole = this.polygonArea(points) > 0;
+      let isFrame = false;
+
+      if (hasFrame && !isHole) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of points) {
+          minX = Math.min(minX, x);
+          minY = Math.min(minY, y);
+          maxX = Math.max(maxX, x);
+          maxY = Math.max(maxY, y);
+        }
+        isFrame = minX <= 0.5 && minY <= 0.5 && maxX >= width - 0.5 && maxY >= height - 0.5;
+      }
+
+      return {
+        points: isFrame ? [[0, 0], [width, 0], [width, height], [0, height]] : this.simplifyClosed(points, tolerance),
+        isHole,
+        isFrame
+      };
+    });
+
+    // 边框在前，其余按面积从大到小
+    contours.sort((a, b) => (b.isFrame - a.isFrame) ||
+      (Math.abs(this.polygonArea(b.points)) - Math.abs(this.polygonArea(a.points))));
+
+    return { width, height, contours };
+  }
+
+  /**
+   * 转义XML文本中的特殊字符
+   * @param {string} text 文本
+   * @returns {string} 转义后的文本
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * 格式化坐标数值
+   * @param {number} value 数值
+   * @returns {string} 最多3位小数
+   */
+  formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * 生成SVG文档
+   * @param {Object} trace traceLayer 的结果
+   * @param {Object} options 选项
+   * @param {number} options.mmPerPixel 每像素毫米数，0 表示使用像素尺寸
+   * @param {string} options.title 标题
+   * @returns {string} SVG文本
+   */
+  toSvg(trace, options = {}) {
+    const { mmPerPixel = 0, title = '' } = options;
+    const { width, height, contours } = trace;
+
+    let sizeAttrs;
+    if (mmPerPixel > 0) {
+      sizeAttrs = `width="${this.formatNumber(width * mmPerPixel)}mm" height="${this.formatNumber(height * mmPerPixel)}mm"`;
+    } else {
+      sizeAttrs = `width="${width}px" height="${height}px"`;
+    }
+
+    const toPath = (points) => points
+      .map((point, i) => `${i === 0 ? 'M' : 'L'}${this.formatNumber(point[0])} ${this.formatNumber(point[1])}`)
+      .join(' ') + ' Z';
+
+    const frame = contours.filter(contour => contour.isFrame).map(contour => toPath(contour.points));
+    const cuts = contours.filter(contour => !contour.isFrame).map(contour => toPath(contour.points));
+    const style = 'fill="none" stroke="#ff0000" stroke-width="1" vector-effect="non-scaling-stroke"';
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" ${sizeAttrs} viewBox="0 0 ${width} ${height}">`
+    ];
+    if (title) lines.push(`  <title>${this.escapeXml(title)}</title>`);
+    if (frame.length > 0) {
+      lines.push(`  <g id="frame" ${style}>`);
+      frame.forEach(d => lines.push(`    <path d="${d}"/>`));
+      lines.push('  </g>');
+    }
+    lines.push(`  <g id="cut" ${style}>`);
+    cuts.forEach(d => lines.push(`    <path d="${d}"/>`));
+    lines.push('  </g>');
+    lines.push('</svg>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 生成DXF文档（R12，多段线，坐标单位为毫米，导入时需按毫米解释）
+   * 边框外框与内部切割轮廓分别放在 FRAME / CUT 图层，每个轮廓为独立的闭合多段线；
+   * 多个层级时从左到右依次排列在同一张图纸上
+   * @param {Array<{name: string, trace: Object}>} layers 层级名称与 traceLayer 结果
+   * @param {Object} options 选项
+   * @param {number} options.mmPerPixel 每像素毫米数，0 表示按默认DPI换算
+   * @param {number} options.spacingMm 层级之间的间距（毫米）
+   * @returns {string} DXF文本
+   */
+  toDxf(layers, options = {}) {
+    const { spacingMm = 10 } = options;
+    const mmPerPixel = options.mmPerPixel > 0 ? options.mmPerPixel : 25.4 / this.defaultDpi;
+    const prefixed = layers.length > 1;
+    const layerNames = [];
+    const entities = [];
+    let offsetX = 0;
+
+    layers.forEach(({ name, trace }) => {
+      const frameLayer = prefixed ? `${name}_FRAME` : 'FRAME';
+      const cutLayer = prefixed ? `${name}_CUT` : 'CUT';
+      layerNames.push([frameLayer, 5], [cutLayer, 1]);
+
+      trace.contours.forEach(contour => {
+        const layer = contour.isFrame ? frameLayer : cutLayer;
+        entities.push('0', 'POLYLINE', '8', layer, '66', '1', '10', '0', '20', '0', '30', '0', '70', '1');
+        contour.points.forEach(([x, y]) => {
+          // DXF的Y轴向上
+          entities.push('0', 'VERTEX', '8', layer,
+            '10', this.formatNumber(offsetX + x * mmPerPixel),
+            '20', this.formatNumber((trace.height - y) * mmPerPixel),
+            '30', '0');
+        });
+        entities.push('0', 'SEQEND', '8', layer);
+      });
+
+      offsetX += trace.width * mmPerPixel + spacingMm;
+    });
+
+    const tables = ['0', 'TABLE', '2', 'LAYER', '70', String(layerNames.length)];
+    layerNames.forEach(([layer, color]) => {
+      tables.push('0', 'LAYER', '2', layer, '70', '0', '62', String(color), '6', 'CONTINUOUS');
+    });
+    tables.push('0', 'ENDTAB');
+
+    const lines = [
+      '0', 'SECTION', '2', 'HEADER',
+      // R12 没有单位变量（$INSUNITS、$MEASUREMENT 为更高版本引入），坐标按毫米写出
+      '9', '$ACADVER', '1', 'AC1009',
+      '0', 'ENDSEC',
+      '0', 'SECTION', '2', 'TABLES', ...tables, '0', 'ENDSEC',
+      '0', 'SECTION', '2', 'ENTITIES', ...entities, '0', 'ENDSEC',
+      '0', 'EOF'
+    ];
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorExporter;
+} else {
+  window.VectorExporter = VectorExporter;
+}